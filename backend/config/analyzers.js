@@ -0,0 +1,19 @@
+// Analyzer providers run on every check, in order.
+//
+// Each entry takes:
+//   name     - key the provider's result is reported under
+//   type     - built-in provider to use (defaults to name): huggingface, mistral, newsapi, heuristic
+//   module   - path (relative to the backend root) to a custom provider factory instead of a built-in
+//   weight   - share of combinedMetrics the provider contributes; 0 reports it without blending
+//   enabled  - set to false to skip the provider
+//   retries  - attempts before giving up (falls back to the provider's default)
+//   timeout  - per-attempt timeout in ms
+//   maxClaims - claims per check the provider verifies one by one (falls back to the provider's default; unset checks all)
+//   options  - passed through to the provider factory
+//
+// Set ANALYZERS_CONFIG to the path of a JSON file with the same shape to override this list.
+module.exports = [
+    { name: 'huggingface', weight: 0.6 },
+    { name: 'mistral', weight: 0.4 },
+    { name: 'newsapi', weight: 0 }
+];
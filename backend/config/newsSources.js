@@ -0,0 +1,18 @@
+// Sources the news corroboration analyzer (`newsapi`) searches for coverage of a story, in parallel.
+//
+// Each entry takes:
+//   name     - key the source's matches are reported under, and their `sourceType`
+//   type     - built-in adapter to use (defaults to name): newsapi, factcheck, gdelt, rss
+//   enabled  - set to false to skip the source
+//   timeout  - request timeout in ms
+//   options  - passed through to the adapter factory, e.g. { feeds: [...] } for rss
+//
+// Sources without their API key (NEWS_API_KEY, GOOGLE_FACT_CHECK_API_KEY) or, for rss, without any
+// feeds (RSS_FEEDS, comma-separated) are skipped. Set NEWS_SOURCES_CONFIG to the path of a JSON file
+// with the same shape to override this list.
+module.exports = [
+    { name: 'factcheck' },
+    { name: 'newsapi' },
+    { name: 'gdelt' },
+    { name: 'rss' }
+];
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/apiKey');
+const { generateApiKey, quotaDay } = require('../utils/apiKeys');
+
+// What admins see for a key: never the hash, and today's usage rather than a stale counter
+function serializeApiKey(apiKey) {
+    const usedToday = apiKey.quotaDate === quotaDay() ? apiKey.quotaUsed : 0;
+
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        dailyQuota: apiKey.dailyQuota,
+        usage: {
+            today: usedToday,
+            remainingToday: Math.max(0, apiKey.dailyQuota - usedToday),
+            total: apiKey.totalRequests,
+            lastUsedAt: apiKey.lastUsedAt
+        },
+        revoked: Boolean(apiKey.revokedAt),
+        revokedAt: apiKey.revokedAt,
+        createdAt: apiKey.createdAt
+    };
+}
+
+const listApiKeys = async (req, res) => {
+    try {
+        const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+        const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+        res.json({ apiKeys: apiKeys.map(serializeApiKey) });
+    } catch (error) {
+        console.error('API key listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys', details: error.message });
+    }
+};
+
+const getApiKey = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid API key id' });
+        }
+
+        const apiKey = await ApiKey.findById(req.params.id).lean();
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(serializeApiKey(apiKey));
+    } catch (error) {
+        console.error('API key lookup error:', error);
+        res.status(500).json({ error: 'Failed to fetch API key', details: error.message });
+    }
+};
+
+// The plaintext key is only ever returned here
+const createApiKey = async (req, res) => {
+    try {
+        const { name, rateLimitPerMinute, dailyQuota } = req.body;
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        const { key, keyHash, prefix } = generateApiKey();
+        const apiKey = await ApiKey.create({ name, keyHash, prefix, rateLimitPerMinute, dailyQuota });
+
+        res.status(201).json({ ...serializeApiKey(apiKey), key });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: 'Invalid API key', details: error.message });
+        }
+        console.error('API key create error:', error);
+        res.status(500).json({ error: 'Failed to create API key', details: error.message });
+    }
+};
+
+// Revoked keys are kept so their usage stays on record
+const revokeApiKey = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid API key id' });
+        }
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!apiKey) {
+            return res.status(404).json({ error: 'Active API key not found' });
+        }
+
+        res.json(serializeApiKey(apiKey));
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+    }
+};
+
+module.exports = {
+    listApiKeys,
+    getApiKey,
+    createApiKey,
+    revokeApiKey
+};
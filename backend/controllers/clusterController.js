@@ -0,0 +1,134 @@
+const UserReport = require('../models/userReport');
+const { excerpt } = require('../utils/nearDuplicates');
+const { DAY_MS, INTERVALS, periodLabels } = require('../utils/timeBuckets');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+// Hourly timelines are only offered over short windows
+const MAX_HOURLY_DAYS = 7;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_MIN_SIZE = 2;
+
+// Cluster timelines come by the hour or by the day
+const CLUSTER_INTERVALS = ['day', 'hour'];
+
+function positiveInteger(value, fallback) {
+    if (value === undefined) return { value: fallback };
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? { value: number } : { error: true };
+}
+
+// Validate the clusters query string, returning the options or an error message
+function parseClusterQuery(query) {
+    const days = positiveInteger(query.days, DEFAULT_DAYS);
+    if (days.error || days.value > MAX_DAYS) return { error: `days must be a whole number from 1 to ${MAX_DAYS}` };
+
+    const interval = query.interval || 'day';
+    if (!CLUSTER_INTERVALS.includes(interval)) return { error: `interval must be one of: ${CLUSTER_INTERVALS.join(', ')}` };
+    if (interval === 'hour' && days.value > MAX_HOURLY_DAYS) {
+        return { error: `interval=hour covers at most ${MAX_HOURLY_DAYS} days` };
+    }
+
+    const minSize = positiveInteger(query.minSize, DEFAULT_MIN_SIZE);
+    if (minSize.error) return { error: 'minSize must be a positive whole number' };
+
+    const limit = positiveInteger(query.limit, DEFAULT_LIMIT);
+    if (limit.error) return { error: 'limit must be a positive whole number' };
+
+    return {
+        options: {
+            days: days.value,
+            interval,
+            minSize: minSize.value,
+            limit: Math.min(MAX_LIMIT, limit.value)
+        }
+    };
+}
+
+// Recent submissions grouped into clusters of near-duplicate claims, largest first,
+// with each cluster's submissions per period to show which rumors are picking up
+const getClusters = async (req, res) => {
+    try {
+        const { options, error } = parseClusterQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const since = new Date(Date.now() - options.days * DAY_MS);
+        const match = { timestamp: { $gte: since }, clusterId: { $ne: null } };
+
+        const clusters = await UserReport.aggregate([
+            { $match: match },
+            { $sort: { timestamp: 1 } },
+            {
+                $group: {
+                    _id: '$clusterId',
+                    count: { $sum: 1 },
+                    firstSeen: { $first: '$timestamp' },
+                    lastSeen: { $last: '$timestamp' },
+                    latestReportId: { $last: '$_id' },
+                    latestContent: { $last: '$content' },
+                    latestReliability: { $last: '$reliability' },
+                    averageCredibilityScore: { $avg: '$combinedMetrics.credibilityScore' },
+                    reliabilities: { $push: '$reliability' }
+                }
+            },
+            { $match: { count: { $gte: options.minSize } } },
+            { $sort: { count: -1, lastSeen: -1 } },
+            { $limit: options.limit }
+        ]);
+
+        const periods = await UserReport.aggregate([
+            { $match: { ...match, clusterId: { $in: clusters.map(cluster => cluster._id) } } },
+            {
+                $group: {
+                    _id: {
+                        clusterId: '$clusterId',
+                        period: INTERVALS[options.interval].expression('$timestamp')
+                    },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const labels = periodLabels(since, options.interval);
+
+        res.json({
+            since,
+            interval: options.interval,
+            clusters: clusters.map(cluster => {
+                const counts = new Map(periods
+                    .filter(({ _id }) => _id.clusterId.equals(cluster._id))
+                    .map(({ _id, count }) => [_id.period, count]));
+
+                return {
+                    clusterId: cluster._id,
+                    count: cluster.count,
+                    firstSeen: cluster.firstSeen,
+                    lastSeen: cluster.lastSeen,
+                    latestReport: {
+                        reportId: cluster.latestReportId,
+                        reliability: cluster.latestReliability,
+                        excerpt: excerpt(cluster.latestContent)
+                    },
+                    averageCredibilityScore: cluster.averageCredibilityScore === null
+                        ? null
+                        : Math.round(cluster.averageCredibilityScore),
+                    reliabilities: cluster.reliabilities.reduce((acc, label) => ({ ...acc, [label]: (acc[label] || 0) + 1 }), {}),
+                    timeline: labels.map(period => ({ period, count: counts.get(period) || 0 }))
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Cluster listing error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch clusters',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    getClusters
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const ReferenceFact = require('../models/referenceFact');
+const { normalizeEntityKey } = require('../models/referenceFact');
+
+const EDITABLE_FIELDS = [
+    'entity', 'entityType', 'aliases', 'attribute', 'attributeAliases', 'valueType', 'value', 'valueAliases',
+    'unit', 'tolerance', 'since', 'asOf', 'source', 'notes'
+];
+
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// Validation and duplicate entity/attribute errors are the client's fault
+function sendSaveError(res, error) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: 'Invalid reference fact', details: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'A fact for this entity and attribute already exists' });
+    }
+    console.error('Reference fact save error:', error);
+    return res.status(500).json({ error: 'Failed to save reference fact', details: error.message });
+}
+
+const listFacts = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.entityType) filter.entityType = req.query.entityType;
+        if (req.query.valueType) filter.valueType = req.query.valueType;
+        if (req.query.q) {
+            filter.keys = { $regex: normalizeEntityKey(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        }
+
+        const facts = await ReferenceFact.find(filter).sort({ entity: 1, attribute: 1 }).lean();
+        res.json({ facts });
+    } catch (error) {
+        console.error('Reference fact listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch reference facts', details: error.message });
+    }
+};
+
+const getFact = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid reference fact id' });
+        }
+
+        const fact = await ReferenceFact.findById(req.params.id).lean();
+        if (!fact) {
+            return res.status(404).json({ error: 'Reference fact not found' });
+        }
+
+        res.json(fact);
+    } catch (error) {
+        console.error('Reference fact lookup error:', error);
+        res.status(500).json({ error: 'Failed to fetch reference fact', details: error.message });
+    }
+};
+
+const createFact = async (req, res) => {
+    try {
+        const fact = await ReferenceFact.create(pickEditableFields(req.body));
+        res.status(201).json(fact);
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+const updateFact = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid reference fact id' });
+        }
+
+        // Load and save so the value is re-validated and the match keys rebuilt
+        const fact = await ReferenceFact.findById(req.params.id);
+        if (!fact) {
+            return res.status(404).json({ error: 'Reference fact not found' });
+        }
+
+        fact.set(pickEditableFields(req.body));
+        await fact.save();
+        res.json(fact);
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+const deleteFact = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid reference fact id' });
+        }
+
+        const fact = await ReferenceFact.findByIdAndDelete(req.params.id);
+        if (!fact) {
+            return res.status(404).json({ error: 'Reference fact not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Reference fact delete error:', error);
+        res.status(500).json({ error: 'Failed to delete reference fact', details: error.message });
+    }
+};
+
+module.exports = {
+    listFacts,
+    getFact,
+    createFact,
+    updateFact,
+    deleteFact
+};
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const { RELIABILITY_LEVELS } = require('../utils/scoring');
+const { buildReportFilter } = require('../utils/reportFilter');
+const { EXPORT_FORMATS, EXPORT_BATCH_SIZE, EXPORT_FIELDS, streamReports } = require('../utils/reportExport');
+const { renderFactCheckCard } = require('../utils/factCheckCard');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_EVIDENCE_URLS = 5;
+const MAX_URL_LENGTH = 2048;
+// Matches the schema's maxlength
+const MAX_COMMENT_LENGTH = 2000;
+// Only the newest entries are kept on the report, so popular reports stay far from Mongo's
+// document size limit; feedbackStats still counts every submission
+const MAX_STORED_FEEDBACK = 200;
+
+// Feedback counts plus the share of users who agreed with the verdict
+function summarizeFeedback(stats) {
+    const { total = 0, agree = 0, disagree = 0, correctLabels = {} } = stats || {};
+    return {
+        total,
+        agree,
+        disagree,
+        agreementRate: total > 0 ? Math.round((agree / total) * 100) : null,
+        correctLabels
+    };
+}
+
+function isHttpUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Validate a feedback submission, returning the entry to store or an error message
+function buildFeedback(body) {
+    const { isCorrect, correctLabel, evidenceUrls = [], comment } = body;
+
+    if (typeof isCorrect !== 'boolean') {
+        return { error: 'isCorrect must be true or false' };
+    }
+    if (!isCorrect && !correctLabel) {
+        return { error: 'correctLabel is required when marking a verdict as wrong' };
+    }
+    if (correctLabel && !RELIABILITY_LEVELS.includes(correctLabel)) {
+        return { error: `correctLabel must be one of: ${RELIABILITY_LEVELS.join(', ')}` };
+    }
+    if (!Array.isArray(evidenceUrls) || evidenceUrls.length > MAX_EVIDENCE_URLS) {
+        return { error: `evidenceUrls must be an array of at most ${MAX_EVIDENCE_URLS} URLs` };
+    }
+    if (!evidenceUrls.every(isHttpUrl)) {
+        return { error: `evidenceUrls must be http or https URLs of at most ${MAX_URL_LENGTH} characters` };
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        return { error: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    return {
+        feedback: {
+            isCorrect,
+            correctLabel: isCorrect ? undefined : correctLabel,
+            evidenceUrls,
+            comment,
+            createdAt: new Date()
+        }
+    };
+}
+
+const getReports = async (req, res) => {
+    try {
+        const { filter, error } = buildReportFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        const [reports, total] = await Promise.all([
+            UserReport.find(filter)
+                .select('-feedback -minhash')
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            UserReport.countDocuments(filter)
+        ]);
+
+        res.json({
+            reports: reports.map(report => ({ ...report, feedbackStats: summarizeFeedback(report.feedbackStats) })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Report listing error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch reports',
+            details: error.message
+        });
+    }
+};
+
+const getReportById = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid report id' });
+        }
+
+        const report = await UserReport.findById(id).select('-minhash').lean();
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        res.json({ ...report, feedbackStats: summarizeFeedback(report.feedbackStats) });
+    } catch (error) {
+        console.error('Report lookup error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch report',
+            details: error.message
+        });
+    }
+};
+
+// Every report matching the history filters, newest first, streamed as CSV or JSON Lines
+const exportReports = async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const { filter, error } = buildReportFilter(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const cursor = UserReport.find(filter)
+            .select(EXPORT_FIELDS)
+            .sort({ timestamp: -1 })
+            .lean()
+            .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="truthguard-reports-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}"`
+        });
+
+        await streamReports(cursor, res, format);
+    } catch (error) {
+        console.error('Report export error:', error);
+        // Once rows have gone out the status can't change, so cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'Failed to export reports',
+            details: error.message
+        });
+    }
+};
+
+// A shareable PDF fact-check card for one report
+const getReportCard = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid report id' });
+        }
+
+        const report = await UserReport.findById(id)
+            .select('content reliability combinedMetrics newsVerification timestamp')
+            .lean();
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="truthguard-fact-check-${id}.pdf"`
+        });
+        const card = renderFactCheckCard(report, { reportUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/${id}` });
+        card.on('error', (error) => {
+            console.error('Report card stream error:', error);
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            res.status(500).json({
+                error: 'Failed to render report card',
+                details: error.message
+            });
+        });
+        card.pipe(res);
+    } catch (error) {
+        console.error('Report card error:', error);
+        res.status(500).json({
+            error: 'Failed to render report card',
+            details: error.message
+        });
+    }
+};
+
+const addReportFeedback = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid report id' });
+        }
+
+        const { feedback, error } = buildFeedback(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const increments = {
+            'feedbackStats.total': 1,
+            [feedback.isCorrect ? 'feedbackStats.agree' : 'feedbackStats.disagree']: 1
+        };
+        if (feedback.correctLabel) {
+            increments[`feedbackStats.correctLabels.${feedback.correctLabel}`] = 1;
+        }
+
+        const report = await UserReport.findByIdAndUpdate(
+            id,
+            { $push: { feedback: { $each: [feedback], $slice: -MAX_STORED_FEEDBACK } }, $inc: increments },
+            { new: true, runValidators: true, projection: { feedbackStats: 1, reliability: 1 } }
+        ).lean();
+
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        res.status(201).json({
+            reportId: report._id,
+            reliability: report.reliability,
+            feedbackStats: summarizeFeedback(report.feedbackStats)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: 'Invalid feedback', details: error.message });
+        }
+        console.error('Report feedback error:', error);
+        res.status(500).json({
+            error: 'Failed to save feedback',
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    buildReportFilter,
+    getReports,
+    getReportById,
+    exportReports,
+    getReportCard,
+    addReportFeedback
+};
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const SourceReputation = require('../models/sourceReputation');
+
+const EDITABLE_FIELDS = ['name', 'domain', 'aliases', 'rating', 'bias', 'notes'];
+
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// Validation and duplicate-domain errors are the client's fault
+function sendSaveError(res, error) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: 'Invalid source', details: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'A source with this domain already exists' });
+    }
+    console.error('Source reputation save error:', error);
+    return res.status(500).json({ error: 'Failed to save source', details: error.message });
+}
+
+const listSources = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.rating) filter.rating = req.query.rating;
+        if (req.query.q) {
+            filter.keys = { $regex: req.query.q.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        }
+
+        const sources = await SourceReputation.find(filter).sort({ name: 1 }).lean();
+        res.json({ sources });
+    } catch (error) {
+        console.error('Source listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch sources', details: error.message });
+    }
+};
+
+const getSource = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid source id' });
+        }
+
+        const source = await SourceReputation.findById(req.params.id).lean();
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        res.json(source);
+    } catch (error) {
+        console.error('Source lookup error:', error);
+        res.status(500).json({ error: 'Failed to fetch source', details: error.message });
+    }
+};
+
+const createSource = async (req, res) => {
+    try {
+        const source = await SourceReputation.create(pickEditableFields(req.body));
+        res.status(201).json(source);
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+const updateSource = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid source id' });
+        }
+
+        // Load and save so the match keys are rebuilt
+        const source = await SourceReputation.findById(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        source.set(pickEditableFields(req.body));
+        await source.save();
+        res.json(source);
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+const deleteSource = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid source id' });
+        }
+
+        const source = await SourceReputation.findByIdAndDelete(req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Source delete error:', error);
+        res.status(500).json({ error: 'Failed to delete source', details: error.message });
+    }
+};
+
+module.exports = {
+    listSources,
+    getSource,
+    createSource,
+    updateSource,
+    deleteSource
+};
@@ -0,0 +1,229 @@
+const UserReport = require('../models/userReport');
+const { RELIABILITY_LEVELS } = require('../utils/scoring');
+const { buildReportFilter } = require('../utils/reportFilter');
+const { DAY_MS, INTERVALS, periodLabels } = require('../utils/timeBuckets');
+
+// Stats cover the last 30 days unless `from` or `to` says otherwise
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Timeseries come by the day or by the (Monday-start) week, for weekly trend reports
+const TIMESERIES_INTERVALS = ['day', 'week'];
+// Longest range each interval covers, so a wide `from`/`to` can't ask for thousands of periods
+const MAX_TIMESERIES_DAYS = { day: 366, week: 5 * 366 };
+
+const DEFAULT_SOURCE_LIMIT = 20;
+const MAX_SOURCE_LIMIT = 100;
+
+// The two lowest reliability levels, counted together as likely misinformation
+const LOW_CREDIBILITY_LEVELS = RELIABILITY_LEVELS.slice(-2);
+
+// The report filter for a stats query, with the default window filled in
+function buildStatsFilter(query) {
+    const { filter, error } = buildReportFilter(query);
+    if (error) return { error };
+
+    if (!filter.timestamp) {
+        filter.timestamp = { $gte: new Date(Date.now() - DEFAULT_WINDOW_DAYS * DAY_MS) };
+    }
+    return { filter };
+}
+
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+}
+
+// [{ _id, count }] from a $group stage as { key: count }, with every expected key present
+function countsByKey(groups, keys = []) {
+    const counts = Object.fromEntries(keys.map(key => [key, 0]));
+    groups.forEach(({ _id, count }) => {
+        counts[_id === null || _id === undefined ? 'unknown' : _id] = count;
+    });
+    return counts;
+}
+
+function sendStatsError(res, error, what) {
+    console.error(`Stats ${what} error:`, error);
+    res.status(500).json({ error: `Failed to compute ${what}`, details: error.message });
+}
+
+// Totals by reliability label, content type, news verdict and language
+const getOverview = async (req, res) => {
+    try {
+        const { filter, error } = buildStatsFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const countBy = (field) => [{ $group: { _id: field, count: { $sum: 1 } } }, { $sort: { count: -1 } }];
+        const [stats] = await UserReport.aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    totals: [{
+                        $group: {
+                            _id: null,
+                            count: { $sum: 1 },
+                            averageCredibilityScore: { $avg: '$combinedMetrics.credibilityScore' },
+                            degraded: { $sum: { $cond: ['$degraded', 1, 0] } }
+                        }
+                    }],
+                    byReliability: countBy('$reliability'),
+                    byContentType: countBy('$contentAnalysis.contentType'),
+                    byNewsVerdict: countBy('$newsVerification.verdict'),
+                    byLanguage: countBy('$language.code')
+                }
+            }
+        ]);
+
+        const totals = stats.totals[0] || { count: 0, averageCredibilityScore: null, degraded: 0 };
+        const byReliability = countsByKey(stats.byReliability, RELIABILITY_LEVELS);
+        const lowCredibility = LOW_CREDIBILITY_LEVELS.reduce((sum, level) => sum + byReliability[level], 0);
+
+        res.json({
+            range: { from: filter.timestamp.$gte || null, to: filter.timestamp.$lte || null },
+            total: totals.count,
+            averageCredibilityScore: round(totals.averageCredibilityScore),
+            lowCredibilityShare: totals.count > 0 ? round((lowCredibility / totals.count) * 100) : null,
+            degraded: totals.degraded,
+            byReliability,
+            // Only full checks classify the content type; heuristic ones count as unknown
+            byContentType: countsByKey(stats.byContentType),
+            byNewsVerdict: countsByKey(stats.byNewsVerdict),
+            byLanguage: countsByKey(stats.byLanguage)
+        });
+    } catch (error) {
+        sendStatsError(res, error, 'overview');
+    }
+};
+
+// Checks and average credibility per day or week, zero-filled, with the reliability labels behind them
+const getTimeseries = async (req, res) => {
+    try {
+        const { filter, error } = buildStatsFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const interval = req.query.interval || 'day';
+        if (!TIMESERIES_INTERVALS.includes(interval)) {
+            return res.status(400).json({ error: `interval must be one of: ${TIMESERIES_INTERVALS.join(', ')}` });
+        }
+
+        const until = filter.timestamp.$lte || new Date();
+        const rangeError = `interval=${interval} covers at most ${MAX_TIMESERIES_DAYS[interval]} days`;
+        const tooLong = (from) => until.getTime() - from.getTime() > MAX_TIMESERIES_DAYS[interval] * DAY_MS;
+        if (filter.timestamp.$gte && tooLong(filter.timestamp.$gte)) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const periods = await UserReport.aggregate([
+            { $match: filter },
+            {
+                $group: {
+                    _id: { period: INTERVALS[interval].expression('$timestamp'), reliability: '$reliability' },
+                    count: { $sum: 1 },
+                    scoreSum: { $sum: '$combinedMetrics.credibilityScore' },
+                    scored: { $sum: { $cond: [{ $isNumber: '$combinedMetrics.credibilityScore' }, 1, 0] } }
+                }
+            }
+        ]);
+
+        // An open-ended range starts at the first report
+        const firstPeriod = periods.map(({ _id }) => _id.period).sort()[0];
+        const from = filter.timestamp.$gte || (firstPeriod ? new Date(firstPeriod) : until);
+        if (tooLong(from)) {
+            return res.status(400).json({ error: `${rangeError}; set from to narrow it` });
+        }
+
+        const groupsByPeriod = new Map();
+        periods.forEach(group => {
+            if (!groupsByPeriod.has(group._id.period)) groupsByPeriod.set(group._id.period, []);
+            groupsByPeriod.get(group._id.period).push(group);
+        });
+
+        res.json({
+            interval,
+            series: periodLabels(from, interval, until).map(period => {
+                const groups = groupsByPeriod.get(period) || [];
+                const count = groups.reduce((sum, group) => sum + group.count, 0);
+                const scored = groups.reduce((sum, group) => sum + group.scored, 0);
+                const byReliability = countsByKey(
+                    groups.map(({ _id, count: levelCount }) => ({ _id: _id.reliability, count: levelCount })),
+                    RELIABILITY_LEVELS
+                );
+
+                return {
+                    period,
+                    count,
+                    averageCredibilityScore: scored > 0
+                        ? round(groups.reduce((sum, group) => sum + group.scoreSum, 0) / scored)
+                        : null,
+                    lowCredibility: LOW_CREDIBILITY_LEVELS.reduce((sum, level) => sum + byReliability[level], 0),
+                    byReliability
+                };
+            })
+        });
+    } catch (error) {
+        sendStatsError(res, error, 'timeseries');
+    }
+};
+
+// The sources cited most often in checked content, with how that content scored
+const getSources = async (req, res) => {
+    try {
+        const { filter, error } = buildStatsFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const limit = Math.min(MAX_SOURCE_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_SOURCE_LIMIT));
+        // A bracketed ?type[$ne]= would otherwise become a Mongo operator
+        if (req.query.type !== undefined && typeof req.query.type !== 'string') {
+            return res.status(400).json({ error: 'type must be a single source type' });
+        }
+        const sourceMatch = req.query.type ? { 'sourceAnalysis.sources.type': req.query.type } : {};
+
+        const sources = await UserReport.aggregate([
+            { $match: filter },
+            { $unwind: '$sourceAnalysis.sources' },
+            { $match: sourceMatch },
+            { $sort: { timestamp: 1 } },
+            {
+                $group: {
+                    // The same outlet is often written with different capitalisation
+                    _id: { $toLower: '$sourceAnalysis.sources.name' },
+                    name: { $first: '$sourceAnalysis.sources.name' },
+                    types: { $addToSet: '$sourceAnalysis.sources.type' },
+                    // The stored reputation as of the latest citation
+                    reputation: { $last: '$sourceAnalysis.sources.reputation.rating' },
+                    citations: { $sum: 1 },
+                    averageCredibilityScore: { $avg: '$combinedMetrics.credibilityScore' },
+                    lowCredibility: { $sum: { $cond: [{ $in: ['$reliability', LOW_CREDIBILITY_LEVELS] }, 1, 0] } },
+                    lastCitedAt: { $max: '$timestamp' }
+                }
+            },
+            { $sort: { citations: -1, lastCitedAt: -1 } },
+            { $limit: limit }
+        ]);
+
+        res.json({
+            sources: sources.map(source => ({
+                name: source.name,
+                types: source.types,
+                reputation: source.reputation || null,
+                citations: source.citations,
+                averageCredibilityScore: round(source.averageCredibilityScore),
+                lowCredibilityShare: round((source.lowCredibility / source.citations) * 100),
+                lastCitedAt: source.lastCitedAt
+            }))
+        });
+    } catch (error) {
+        sendStatsError(res, error, 'source stats');
+    }
+};
+
+module.exports = {
+    getOverview,
+    getTimeseries,
+    getSources
+};
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { validateArticleUrl } = require('../utils/articleExtractor');
+const { generateWebhookSecret } = require('../utils/webhooks');
+
+const EDITABLE_FIELDS = ['url', 'description', 'filter', 'active'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function pickEditableFields(body) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+// What admins see for a webhook: never the secret, which is only returned when it's issued
+function serializeWebhook(webhook) {
+    return {
+        id: webhook._id,
+        url: webhook.url,
+        description: webhook.description,
+        filter: webhook.filter || {},
+        active: webhook.active,
+        lastDeliveryAt: webhook.lastDeliveryAt,
+        lastDeliveryStatus: webhook.lastDeliveryStatus,
+        createdAt: webhook.createdAt,
+        updatedAt: webhook.updatedAt
+    };
+}
+
+// Receivers must be public http(s) hosts, like article URLs (ARTICLE_FETCH_ALLOW_PRIVATE lifts that)
+async function validateWebhookUrl(url) {
+    if (url === undefined) return null;
+    try {
+        await validateArticleUrl(url);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function sendSaveError(res, error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({ error: 'Invalid webhook', details: error.message });
+    }
+    console.error('Webhook save error:', error);
+    return res.status(500).json({ error: 'Failed to save webhook', details: error.message });
+}
+
+const listWebhooks = async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+        const webhooks = await Webhook.find(filter).sort({ createdAt: -1 }).lean();
+        res.json({ webhooks: webhooks.map(serializeWebhook) });
+    } catch (error) {
+        console.error('Webhook listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks', details: error.message });
+    }
+};
+
+const getWebhook = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid webhook id' });
+        }
+
+        const webhook = await Webhook.findById(req.params.id).lean();
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(serializeWebhook(webhook));
+    } catch (error) {
+        console.error('Webhook lookup error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook', details: error.message });
+    }
+};
+
+// The signing secret is only ever returned here and when it's rotated
+const createWebhook = async (req, res) => {
+    try {
+        if (!req.body.url) {
+            return res.status(400).json({ error: 'url is required' });
+        }
+        const urlError = await validateWebhookUrl(req.body.url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+
+        const secret = generateWebhookSecret();
+        const webhook = await Webhook.create({ ...pickEditableFields(req.body), secret });
+
+        res.status(201).json({ ...serializeWebhook(webhook), secret });
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+// `rotateSecret: true` issues a new signing secret and returns it
+const updateWebhook = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid webhook id' });
+        }
+
+        const urlError = await validateWebhookUrl(req.body.url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
+        }
+
+        const webhook = await Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        webhook.set(pickEditableFields(req.body));
+        const secret = req.body.rotateSecret === true ? generateWebhookSecret() : null;
+        if (secret) webhook.secret = secret;
+        await webhook.save();
+
+        res.json({ ...serializeWebhook(webhook), ...(secret ? { secret } : {}) });
+    } catch (error) {
+        sendSaveError(res, error);
+    }
+};
+
+// Deleting a webhook keeps its delivery log until it expires
+const deleteWebhook = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid webhook id' });
+        }
+
+        const webhook = await Webhook.findByIdAndDelete(req.params.id).lean();
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({ deleted: true, id: webhook._id });
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+    }
+};
+
+// A webhook's recent deliveries, newest first, optionally only those with a given status
+const listDeliveries = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid webhook id' });
+        }
+
+        const filter = { webhook: req.params.id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.json({
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Webhook delivery listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch deliveries', details: error.message });
+    }
+};
+
+module.exports = {
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries
+};
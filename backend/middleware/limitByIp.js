@@ -0,0 +1,23 @@
+const { checkRateLimit } = require('../utils/apiKeys');
+
+// Per-minute limit for each client IP, for routes anonymous clients can write to.
+// `cost` is how much of the allowance a request uses: a number, or a function of the request.
+// Behind a reverse proxy, set TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+const limitByIp = ({ name, perMinute, cost = 1 }) => (req, res, next) => {
+    const requestCost = typeof cost === 'function' ? cost(req) : cost;
+    if (requestCost <= 0) return next();
+    if (requestCost > perMinute) {
+        return res.status(429).json({ error: `This request counts as ${requestCost} against a limit of ${perMinute} a minute` });
+    }
+
+    const rate = checkRateLimit(`${name}:${req.ip}`, perMinute, Date.now(), requestCost);
+    res.set('X-RateLimit-Limit', String(perMinute));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+    if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfter));
+        return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: rate.retryAfter });
+    }
+    next();
+};
+
+module.exports = limitByIp;
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// Admin routes need the ADMIN_API_TOKEN as a bearer token
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin access is not configured' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+
+    const expected = Buffer.from(adminToken);
+    const given = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Admin authorization required' });
+    }
+
+    next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const limitByIp = require('./limitByIp');
+const { findActiveApiKey, consumeDailyQuota, checkRateLimit, quotaDay, secondsUntilQuotaReset } = require('../utils/apiKeys');
+
+// Requests that go through without a key share this per-IP allowance, so an open deploy
+// can't be used to run up the upstream analyzers' bills
+const ANONYMOUS_PER_MINUTE = Number(process.env.ANONYMOUS_RATE_LIMIT) || 10;
+
+// Browsers' EventSource can't set headers, so the key may also come as ?api_key=
+function readApiKey(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    return req.query.api_key || null;
+}
+
+function limitAnonymous(req, res, next, cost) {
+    return limitByIp({ name: 'anonymous', perMinute: ANONYMOUS_PER_MINUTE, cost })(req, res, next);
+}
+
+// Checks the client API key and applies its per-minute rate limit and daily quota.
+// `cost` is how many quota units the request uses: a number, or a function of the request.
+// Keys are only enforced with API_KEYS_REQUIRED=true; otherwise requests without one go through
+// as anonymous clients (e.g. the bundled frontend, or local development without a database),
+// limited per IP, while requests that send a key are still checked against it.
+const requireApiKey = ({ cost = 1 } = {}) => async (req, res, next) => {
+    const required = process.env.API_KEYS_REQUIRED === 'true';
+    // A repeated ?api_key= arrives as an array
+    if (req.query.api_key !== undefined && typeof req.query.api_key !== 'string') {
+        return res.status(401).json({ error: 'api_key must be given once' });
+    }
+
+    const key = readApiKey(req);
+    if (!key) {
+        return required ? res.status(401).json({ error: 'API key required' }) : limitAnonymous(req, res, next, cost);
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+        if (!required) return limitAnonymous(req, res, next, cost);
+        return res.status(503).json({ error: 'API key validation is unavailable', retryAfter: 5 });
+    }
+
+    try {
+        const apiKey = await findActiveApiKey(key);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        const rate = checkRateLimit(apiKey._id.toString(), apiKey.rateLimitPerMinute);
+        res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        if (!rate.allowed) {
+            res.set('Retry-After', String(rate.retryAfter));
+            return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: rate.retryAfter });
+        }
+
+        const requestCost = typeof cost === 'function' ? cost(req) : cost;
+        let usage = apiKey;
+        if (requestCost > 0) {
+            usage = await consumeDailyQuota(apiKey, requestCost);
+            if (!usage) {
+                const retryAfter = secondsUntilQuotaReset();
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: 'Daily quota exceeded', retryAfter });
+            }
+        }
+
+        const usedToday = usage.quotaDate === quotaDay() ? usage.quotaUsed : 0;
+        res.set('X-Quota-Limit', String(usage.dailyQuota));
+        res.set('X-Quota-Remaining', String(Math.max(0, usage.dailyQuota - usedToday)));
+        req.apiKey = usage;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = requireApiKey;
@@ -0,0 +1,25 @@
+const multer = require('multer');
+const { MAX_IMAGE_SIZE } = require('../utils/imageText');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 1 }
+}).single('image');
+
+// Accepts a multipart/form-data upload in the `image` field, kept in memory as req.file,
+// with the other form fields in req.body. Other content types pass straight through.
+const uploadImage = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `image must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB` : `Invalid upload: ${error.message}`
+            });
+        }
+        next(error);
+    });
+};
+
+module.exports = uploadImage;
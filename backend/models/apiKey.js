@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Only the SHA-256 of the key is stored; the key itself is shown once when issued
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+  rateLimitPerMinute: { type: Number, default: 30, min: 1 },
+  dailyQuota: { type: Number, default: 500, min: 1 },
+  quotaDate: { type: String },
+  quotaUsed: { type: Number, default: 0 },
+  totalRequests: { type: Number, default: 0 },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
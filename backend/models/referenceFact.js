@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['person', 'organization', 'place', 'other'];
+const VALUE_TYPES = ['number', 'date', 'text'];
+
+// A year or a full YYYY-MM-DD date
+const DATE_VALUE_PATTERN = /^\d{4}(?:-\d{2}-\d{2})?$/;
+
+// Lowercased words joined by single spaces, without a leading "the", so "The  Reserve Bank" and
+// "reserve bank" match; works for any script
+function normalizeEntityKey(value) {
+  const words = String(value || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  if (words.length > 1 && words[0] === 'the') words.shift();
+  return words.join(' ');
+}
+
+// One checkable fact about an entity, e.g. India's population or the office holder of a post
+const ReferenceFactSchema = new mongoose.Schema({
+  entity: { type: String, required: true, trim: true },
+  entityType: { type: String, enum: ENTITY_TYPES, default: 'other' },
+  aliases: [{ type: String }],
+  // What the fact is about, e.g. "population", plus other ways content may phrase it
+  attribute: { type: String, required: true, trim: true },
+  attributeAliases: [{ type: String }],
+  valueType: { type: String, enum: VALUE_TYPES, required: true },
+  // A number, a year or YYYY-MM-DD date, or a name, depending on valueType
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Other ways a text value may be written, e.g. a surname on its own
+  valueAliases: [{ type: String }],
+  // Percentages are stored as "%"; figures without a unit only match figures without one
+  unit: { type: String },
+  // Relative difference a stated figure may have and still agree, for rounding and estimates
+  tolerance: { type: Number, default: 0.05, min: 0 },
+  // When a text value (e.g. an office holder) took effect, as a year or YYYY-MM-DD date
+  since: { type: String, match: DATE_VALUE_PATTERN },
+  // When a figure was last known to be right
+  asOf: { type: String, match: DATE_VALUE_PATTERN },
+  source: { type: String },
+  notes: { type: String },
+  keys: { type: [String], index: true },
+  attributeKeys: [{ type: String }],
+}, { timestamps: true });
+
+ReferenceFactSchema.index({ entity: 1, attribute: 1 }, { unique: true });
+
+ReferenceFactSchema.pre('validate', function (next) {
+  if (this.valueType === 'number' && !Number.isFinite(this.value)) {
+    this.invalidate('value', 'value must be a number for valueType "number"');
+  } else if (this.valueType === 'date' && !DATE_VALUE_PATTERN.test(String(this.value))) {
+    this.invalidate('value', 'value must be a year or YYYY-MM-DD date for valueType "date"');
+  } else if (this.valueType === 'text' && (typeof this.value !== 'string' || !this.value.trim())) {
+    this.invalidate('value', 'value must be a non-empty string for valueType "text"');
+  }
+
+  // Keep the match keys in step with the entity, attribute and their aliases
+  this.keys = [...new Set([this.entity, ...(this.aliases || [])].map(normalizeEntityKey).filter(Boolean))];
+  this.attributeKeys = [...new Set([this.attribute, ...(this.attributeAliases || [])].map(normalizeEntityKey).filter(Boolean))];
+  next();
+});
+
+const ReferenceFact = mongoose.model('ReferenceFact', ReferenceFactSchema);
+
+module.exports = ReferenceFact;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.VALUE_TYPES = VALUE_TYPES;
+module.exports.normalizeEntityKey = normalizeEntityKey;
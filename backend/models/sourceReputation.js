@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Lowercased, protocol- and www-free form used to match outlet names and domains
+function normalizeSourceKey(value) {
+  return (value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/.*$/, '')
+    .replace(/^the\s+/, '')
+    .replace(/[\s,."']+$/, '');
+}
+
+const SourceReputationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  domain: { type: String, lowercase: true, trim: true },
+  aliases: [{ type: String }],
+  rating: { type: String, enum: ['reliable', 'questionable', 'unknown'], default: 'unknown' },
+  bias: {
+    type: String,
+    enum: ['left', 'center-left', 'center', 'center-right', 'right', 'unknown'],
+    default: 'unknown'
+  },
+  notes: { type: String },
+  keys: { type: [String], index: true },
+}, { timestamps: true });
+
+SourceReputationSchema.index({ domain: 1 }, { unique: true, sparse: true });
+
+// Keep the match keys in step with the name, domain and aliases
+SourceReputationSchema.pre('validate', function (next) {
+  const keys = [this.name, this.domain, ...(this.aliases || [])]
+    .map(normalizeSourceKey)
+    .filter(Boolean);
+  this.keys = [...new Set(keys)];
+  next();
+});
+
+const SourceReputation = mongoose.model('SourceReputation', SourceReputationSchema);
+
+module.exports = SourceReputation;
+module.exports.normalizeSourceKey = normalizeSourceKey;
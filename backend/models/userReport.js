@@ -1,29 +1,129 @@
 const mongoose = require('mongoose');
 
+// One user's judgement of a stored verdict
+const FeedbackSchema = new mongoose.Schema({
+  isCorrect: { type: Boolean, required: true },
+  correctLabel: { type: String },
+  evidenceUrls: [{ type: String }],
+  comment: { type: String, maxlength: 2000 },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const UserReportSchema = new mongoose.Schema({
   content: { type: String, required: true },
+  contentHash: { type: String, index: true },
+  // MinHash signature of the content's word pairs and its LSH band keys, for finding near-duplicates
+  minhash: {
+    signature: [Number],
+    bands: { type: [String], index: true }
+  },
+  // Reports of the same claim share the cluster of the first one
+  clusterId: { type: mongoose.Schema.Types.ObjectId },
+  // Set when the result was served from the check cache: the report that was actually checked
+  cachedFrom: { type: mongoose.Schema.Types.ObjectId },
+  mode: { type: String, enum: ['full', 'heuristic'], default: 'full' },
+  language: {
+    code: { type: String, default: 'en' },
+    name: String,
+    script: String,
+    confidence: Number,
+    source: { type: String, enum: ['detected', 'requested'] }
+  },
+  article: {
+    url: String,
+    canonicalUrl: String,
+    domain: String,
+    headline: String,
+    byline: String,
+    publishedAt: Date
+  },
+  // Set when the content was read from an uploaded image; the text itself is `content`
+  ocr: {
+    confidence: Number,
+    imageType: String,
+    ocrLanguages: String
+  },
   reliability: { type: String, required: true },
   details: { type: String },
   huggingfaceAnalysis: { type: Object },
-  mistralAnalysis: { type: Object },
+  contentAnalysis: { type: Object },
+  verificationResult: { type: Object },
+  claims: { type: Array },
+  entityAnalysis: { type: Object },
+  sourceAnalysis: { type: Object },
+  credibilityMetrics: { type: Object },
+  // The Mistral analyzer's validated reply, with scores on 0..100
+  mistralAnalysis: {
+    model: String,
+    credibilityScore: Number,
+    truthScore: Number,
+    confidence: Number,
+    verdict: String,
+    reasoning: String,
+    biases: [String],
+    redFlags: [String],
+    // Field aliases and rescaling the reply needed
+    warnings: [String]
+  },
   newsVerification: {
     isVerified: Boolean,
     confidence: Number,
+    query: String,
+    keywords: [String],
+    entities: [String],
     matchedArticles: [{
       title: String,
       source: String,
       url: String,
-      publishedAt: Date
+      publishedAt: Date,
+      similarity: Number,
+      disputes: Boolean,
+      // Which news source found it: factcheck, newsapi, gdelt, rss
+      sourceType: String,
+      // Set on fact-checks: the fact-checker's own rating and how it reads
+      rating: String,
+      ratingVerdict: String
+    }],
+    factChecks: [{
+      claim: String,
+      claimant: String,
+      rating: String,
+      verdict: { type: String, enum: ['true', 'false', 'misleading', 'unrated'] },
+      publisher: String,
+      url: String,
+      reviewedAt: Date,
+      similarity: Number
     }],
-    verdict: String
+    decidingFactCheck: { type: Object },
+    // Whether each news source answered: ok or failed
+    sources: { type: Object },
+    verdict: { type: String, enum: ['REAL', 'POTENTIALLY FAKE', 'NO COVERAGE FOUND'] }
   },
+  analyzers: { type: Object },
+  degraded: { type: Boolean, default: false },
   combinedMetrics: {
     credibilityScore: { type: Number },
     truthScore: { type: Number },
     confidence: { type: Number },
     newsReliability: { type: Number }
   },
+  explanation: { type: Object },
+  similarReports: { type: Array },
+  feedback: [FeedbackSchema],
+  feedbackStats: {
+    total: { type: Number, default: 0 },
+    agree: { type: Number, default: 0 },
+    disagree: { type: Number, default: 0 },
+    // Count of each label users said the verdict should have been
+    correctLabels: { type: Object, default: {} }
+  },
   timestamp: { type: Date, default: Date.now },
 });
 
+// Indexes backing the report history filters
+UserReportSchema.index({ timestamp: -1 });
+UserReportSchema.index({ clusterId: 1, timestamp: -1 });
+UserReportSchema.index({ reliability: 1, timestamp: -1 });
+UserReportSchema.index({ 'combinedMetrics.credibilityScore': 1 });
+
 module.exports = mongoose.model('UserReport', UserReportSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { RELIABILITY_LEVELS } = require('../utils/scoring');
+const { SUPPORTED_LANGUAGES } = require('../utils/languages');
+
+const NEWS_VERDICTS = ['REAL', 'POTENTIALLY FAKE', 'NO COVERAGE FOUND'];
+
+// Which finished checks are sent; every condition set must hold, and an empty filter sends them all
+const WebhookFilterSchema = new mongoose.Schema({
+  // Bounds on combinedMetrics.credibilityScore, e.g. { lt: 30 }
+  credibilityScore: {
+    lt: { type: Number },
+    lte: { type: Number },
+    gt: { type: Number },
+    gte: { type: Number }
+  },
+  verdicts: [{ type: String, enum: NEWS_VERDICTS }],
+  reliabilities: [{ type: String, enum: RELIABILITY_LEVELS }],
+  languages: [{ type: String, enum: SUPPORTED_LANGUAGES }]
+}, { _id: false });
+
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: { type: String },
+  filter: { type: WebhookFilterSchema, default: () => ({}) },
+  // Signs each payload; only returned when the webhook is created or its secret is rotated
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  lastDeliveryAt: { type: Date },
+  lastDeliveryStatus: { type: String, enum: ['delivered', 'failed'] },
+}, { timestamps: true });
+
+WebhookSchema.index({ active: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
+module.exports.NEWS_VERDICTS = NEWS_VERDICTS;
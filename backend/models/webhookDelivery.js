@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Kept for a month, long enough to debug a receiver
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  statusCode: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  reportId: { type: mongoose.Schema.Types.ObjectId },
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  payload: { type: Object },
+  attempts: [AttemptSchema],
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: DELIVERY_LOG_TTL_SECONDS },
+});
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const apiKeyController = require('../controllers/apiKeyController');
+
+router.use(requireAdmin);
+
+router.get('/', apiKeyController.listApiKeys);
+router.post('/', apiKeyController.createApiKey);
+router.get('/:id', apiKeyController.getApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const checkController = require('../controllers/checkController');
+const requireApiKey = require('../middleware/requireApiKey');
+const uploadImage = require('../middleware/uploadImage');
 
-router.post('/', checkController.checkContent);
+// Every batch item counts against the daily quota once the batch is known to be valid; polling a job is free
+const batchCost = (req) => req.batch.items.length;
+
+router.post('/', requireApiKey(), uploadImage, checkController.checkContent);
+router.get('/stream', requireApiKey(), checkController.streamCheck);
+router.post('/stream', requireApiKey(), uploadImage, checkController.streamCheck);
+router.post(
+    '/batch',
+    checkController.validateBatchCheck,
+    requireApiKey({ cost: batchCost }),
+    checkController.createBatchCheck
+);
+router.get('/jobs/:id', requireApiKey({ cost: 0 }), checkController.getBatchCheck);
 
 module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const clusterController = require('../controllers/clusterController');
+
+router.get('/', clusterController.getClusters);
+
+module.exports = router;
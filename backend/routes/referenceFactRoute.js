@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const referenceFactController = require('../controllers/referenceFactController');
+
+router.use(requireAdmin);
+
+router.get('/', referenceFactController.listFacts);
+router.post('/', referenceFactController.createFact);
+router.get('/:id', referenceFactController.getFact);
+router.put('/:id', referenceFactController.updateFact);
+router.delete('/:id', referenceFactController.deleteFact);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const requireAdmin = require('../middleware/requireAdmin');
+const requireApiKey = require('../middleware/requireApiKey');
+const limitByIp = require('../middleware/limitByIp');
+
+// Feedback feeds calibration, so scripted votes are throttled per client
+const FEEDBACK_PER_MINUTE = Number(process.env.FEEDBACK_RATE_LIMIT) || 5;
+
+router.get('/', reportController.getReports);
+// Bulk dumps of every report are for operators only
+router.get('/export', requireAdmin, reportController.exportReports);
+router.get('/:id', reportController.getReportById);
+router.get('/:id/card.pdf', reportController.getReportCard);
+router.post(
+    '/:id/feedback',
+    requireApiKey({ cost: 0 }),
+    limitByIp({ name: 'feedback', perMinute: FEEDBACK_PER_MINUTE }),
+    reportController.addReportFeedback
+);
+
+module.exports = router;
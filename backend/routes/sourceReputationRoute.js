@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const sourceReputationController = require('../controllers/sourceReputationController');
+
+router.use(requireAdmin);
+
+router.get('/', sourceReputationController.listSources);
+router.post('/', sourceReputationController.createSource);
+router.get('/:id', sourceReputationController.getSource);
+router.put('/:id', sourceReputationController.updateSource);
+router.delete('/:id', sourceReputationController.deleteSource);
+
+module.exports = router;
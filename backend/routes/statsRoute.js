@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const statsController = require('../controllers/statsController');
+
+router.get('/overview', statsController.getOverview);
+router.get('/timeseries', statsController.getTimeseries);
+router.get('/sources', statsController.getSources);
+
+module.exports = router;
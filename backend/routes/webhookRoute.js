@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/requireAdmin');
+const webhookController = require('../controllers/webhookController');
+
+router.use(requireAdmin);
+
+router.get('/', webhookController.listWebhooks);
+router.post('/', webhookController.createWebhook);
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.get('/:id/deliveries', webhookController.listDeliveries);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { loadAnalyzerConfig, createProvider, getProviders } = require('../utils/providers');
+const { RELIABILITY_LEVELS, getScoringConfig } = require('../utils/scoring');
+const {
+    parseDataset,
+    recordResponses,
+    extractFeatures,
+    computeMetrics,
+    fitScoringConfig
+} = require('../utils/evaluation');
+
+const USAGE = `Usage: npm run evaluate -- <dataset.jsonl> [options]
+
+Each dataset line is { "content": "...", "label": "<reliability level>", "responses": { "<analyzer>": <raw response> } }.
+
+Options:
+  --record <out.jsonl>  Call the configured analyzers and write the dataset with their raw responses
+  --fit                 Fit analyzer weights, label weights and reliability thresholds
+  --write <file>        Save the fitted config to this file (load it with SCORING_CONFIG=<file>)
+  --json                Print the report as JSON`;
+
+function parseArgs(argv) {
+    const args = { dataset: null, record: null, fit: false, write: null, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record') args.record = argv[++i];
+        else if (arg === '--fit') args.fit = true;
+        else if (arg === '--write') args.write = argv[++i];
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (!args.dataset) args.dataset = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    if (args.write) args.fit = true;
+    return args;
+}
+
+// The report is written to stdout directly; replays log nothing there, so --json output can be piped
+function print(line = '') {
+    process.stdout.write(`${line}\n`);
+}
+
+function percent(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printMetrics(title, metrics) {
+    print(`\n${title}`);
+    print(`  accuracy: ${percent(metrics.accuracy)} of ${metrics.total}`);
+    print(`  mean absolute error vs label target: ${metrics.meanAbsoluteError === null ? 'n/a' : metrics.meanAbsoluteError.toFixed(1)}`);
+    print(`  expected calibration error: ${percent(metrics.expectedCalibrationError)}`);
+
+    print('\n  confusion matrix (rows: labelled, columns: predicted)');
+    const columns = [...RELIABILITY_LEVELS, 'no result'];
+    print(`  ${''.padEnd(20)}${columns.map(c => c.padStart(20)).join('')}`);
+    RELIABILITY_LEVELS.forEach(actual => {
+        const row = columns.map(predicted => String(metrics.confusionMatrix[actual][predicted]).padStart(20));
+        print(`  ${actual.padEnd(20)}${row.join('')}`);
+    });
+
+    print('\n  calibration (credibility score vs share labelled reliable or better)');
+    metrics.calibration.forEach(bin => {
+        if (bin.count === 0) return;
+        print(`  ${`${bin.range[0]}-${bin.range[1]}`.padEnd(10)} n=${String(bin.count).padEnd(6)} predicted ${percent(bin.meanPredicted).padStart(6)}  observed ${percent(bin.observedReliableRate).padStart(6)}`);
+    });
+}
+
+async function record(items, providers, outFile) {
+    const lines = [];
+    for (const item of items) {
+        const responses = await recordResponses(item, providers);
+        lines.push(JSON.stringify({ ...item, responses: { ...item.responses, ...responses } }));
+    }
+    fs.writeFileSync(outFile, `${lines.join('\n')}\n`);
+    print(`Recorded responses for ${items.length} items to ${outFile}`);
+}
+
+async function evaluate() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.dataset) {
+        (args.help ? process.stdout : process.stderr).write(`${USAGE}\n`);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const items = parseDataset(fs.readFileSync(path.resolve(args.dataset), 'utf8'));
+
+    if (args.record) {
+        return record(items, getProviders(), path.resolve(args.record));
+    }
+
+    // Replays run offline, so every configured analyzer takes part whether or not its API key is set;
+    // items without a recorded response for an analyzer are scored as if it failed
+    const providers = loadAnalyzerConfig()
+        .filter(entry => entry.enabled !== false)
+        .map(createProvider);
+    const samples = [];
+    for (const item of items) {
+        samples.push({ item, features: await extractFeatures({ responses: {}, ...item }, providers) });
+    }
+
+    const currentConfig = getScoringConfig();
+    const report = { current: computeMetrics(samples, currentConfig) };
+
+    if (args.fit) {
+        report.fittedConfig = fitScoringConfig(samples, currentConfig);
+        report.fitted = computeMetrics(samples, report.fittedConfig);
+
+        if (args.write) {
+            fs.writeFileSync(path.resolve(args.write), `${JSON.stringify(report.fittedConfig, null, 2)}\n`);
+        }
+    }
+
+    if (args.json) {
+        print(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    printMetrics('Current scoring config', report.current);
+    if (report.fitted) {
+        printMetrics('Fitted scoring config', report.fitted);
+        print(`\nFitted config:\n${JSON.stringify(report.fittedConfig, null, 2)}`);
+        if (args.write) {
+            print(`\nWrote ${args.write}; start the server with SCORING_CONFIG=${args.write} to use it`);
+        }
+    }
+}
+
+evaluate().catch(err => {
+    console.error('Evaluation failed:', err.message);
+    process.exit(1);
+});
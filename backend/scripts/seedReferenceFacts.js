@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const ReferenceFact = require('../models/referenceFact');
+
+// Defaults to the bundled list; pass another JSON file path to seed from it instead
+const seedFile = path.resolve(process.argv[2] || path.join(__dirname, '../config/referenceFacts.json'));
+
+async function seed() {
+    const entries = require(seedFile);
+
+    await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        serverSelectionTimeoutMS: 10000
+    });
+
+    let created = 0;
+    let updated = 0;
+
+    // Upsert by entity and attribute so re-running the seed updates instead of duplicating
+    for (const entry of entries) {
+        const existing = await ReferenceFact.findOne({ entity: entry.entity, attribute: entry.attribute });
+        if (existing) {
+            existing.set(entry);
+            await existing.save();
+            updated++;
+        } else {
+            await ReferenceFact.create(entry);
+            created++;
+        }
+    }
+
+    console.log(`Seeded ${entries.length} reference facts from ${seedFile} (${created} created, ${updated} updated)`);
+}
+
+seed()
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+        console.error('Reference fact seed failed:', err.message);
+        process.exit(1);
+    });
@@ -14,25 +14,46 @@ console.log('MongoDB URI:', process.env.MONGO_URI);
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a reverse proxy (e.g. Render), TRUST_PROXY is the number of proxy hops, so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // CORS configuration
 const corsOptions = {
     origin: ['https://truthguard-2.onrender.com', 'http://localhost:3000'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining'],
     credentials: true,
     optionsSuccessStatus: 200
 };
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(bodyParser.json());
+// Large enough for a base64-encoded screenshot in POST /api/check
+app.use(bodyParser.json({ limit: '8mb' }));
 app.use(express.json());
 
 // Import routes
 const checkRoute = require('./routes/checkRoute');
+const reportRoute = require('./routes/reportRoute');
+const sourceReputationRoute = require('./routes/sourceReputationRoute');
+const apiKeyRoute = require('./routes/apiKeyRoute');
+const clusterRoute = require('./routes/clusterRoute');
+const webhookRoute = require('./routes/webhookRoute');
+const statsRoute = require('./routes/statsRoute');
+const referenceFactRoute = require('./routes/referenceFactRoute');
 
 // Use routes
 app.use('/api/check', checkRoute);
+app.use('/api/reports', reportRoute);
+app.use('/api/clusters', clusterRoute);
+app.use('/api/stats', statsRoute);
+app.use('/api/admin/sources', sourceReputationRoute);
+app.use('/api/admin/keys', apiKeyRoute);
+app.use('/api/admin/webhooks', webhookRoute);
+app.use('/api/admin/reference-facts', referenceFactRoute);
 
 // Serve static files from React app
 app.use(express.static(path.join(__dirname, '../frontend/build')));
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const {
+    ArticleFetchError,
+    isPrivateAddress,
+    validateArticleUrl,
+    publicLookup,
+    publicRequestAgents,
+    extractArticle,
+    fetchArticle
+} = require('../utils/articleExtractor');
+
+const ARTICLE_HTML = `<!doctype html>
+<html>
+<head>
+    <title>Fallback title</title>
+    <link rel="canonical" href="https://www.example.com/news/rates">
+    <meta name="author" content="Meta Author">
+    <script type="application/ld+json">
+        {"@type": "NewsArticle", "headline": "Central bank holds rates", "datePublished": "2024-03-01T10:00:00Z",
+         "author": [{"@type": "Person", "name": "Asha Rao"}]}
+    </script>
+</head>
+<body>
+    <nav><p>Home | World | Business</p></nav>
+    <article>
+        <h1>Central bank holds rates</h1>
+        <p>The central bank kept its policy rate at 6.5% on Friday.</p>
+        <p>"Inflation is easing," the governor said.</p>
+    </article>
+    <footer><p>Copyright</p></footer>
+</body>
+</html>`;
+
+// Local fixture site: each path answers the way some real site might
+const ROUTES = {
+    '/article': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_HTML);
+    },
+    '/moved': (req, res) => {
+        res.writeHead(301, { Location: '/article' });
+        res.end();
+    },
+    '/loop': (req, res) => {
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+    },
+    '/to-ftp': (req, res) => {
+        res.writeHead(302, { Location: 'ftp://example.com/file' });
+        res.end();
+    },
+    '/no-location': (req, res) => {
+        res.writeHead(302);
+        res.end();
+    },
+    '/report.pdf': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end('%PDF-1.4');
+    },
+    '/huge': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<html><body><p>${'a'.repeat(6 * 1024 * 1024)}</p></body></html>`);
+    },
+    '/empty': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body><nav>Menu</nav></body></html>');
+    }
+};
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        const route = ROUTES[req.url];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        route(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// The fixture server is on loopback, so these fetches need private hosts allowed
+function withPrivateHosts(fn) {
+    return async () => {
+        process.env.ARTICLE_FETCH_ALLOW_PRIVATE = 'true';
+        try {
+            await fn();
+        } finally {
+            delete process.env.ARTICLE_FETCH_ALLOW_PRIVATE;
+        }
+    };
+}
+
+test('isPrivateAddress covers private, reserved and IPv4-mapped ranges', () => {
+    [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '100.127.255.255', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:172.16.0.1', '::ffff:169.254.169.254',
+        '::ffff:a9fe:a9fe', '::ffff:100.64.0.1', '64:ff9b::a9fe:a9fe', 'not-an-address'
+    ].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+
+    ['93.184.216.34', '8.8.8.8', '100.128.0.1', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']
+        .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('validateArticleUrl rejects private hosts and other schemes', async () => {
+    for (const url of [
+        'http://127.0.0.1/',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::ffff:172.16.0.1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://100.64.0.1/',
+        'http://2130706433/',
+        'http://localhost/'
+    ]) {
+        await assert.rejects(validateArticleUrl(url), { name: 'ArticleFetchError', status: 400 }, url);
+    }
+
+    await assert.rejects(validateArticleUrl('file:///etc/passwd'), { message: 'url must use http or https' });
+    await assert.rejects(validateArticleUrl('not a url'), { status: 400 });
+});
+
+test('publicLookup refuses names that resolve to private addresses', async () => {
+    const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+    assert.ok(error instanceof ArticleFetchError);
+    assert.equal(error.status, 400);
+});
+
+test('publicRequestAgents only connect to the public addresses they looked up', async () => {
+    const port = server.address().port;
+    await assert.rejects(
+        axios.get(`http://localhost:${port}/article`, publicRequestAgents()),
+        (error) => error.cause instanceof ArticleFetchError
+    );
+});
+
+test('fetchArticle refuses the loopback fixture server unless private hosts are allowed', async () => {
+    await assert.rejects(fetchArticle(`${baseUrl}/article`), { status: 400 });
+});
+
+test('fetchArticle extracts the article from the fixture page', withPrivateHosts(async () => {
+    const article = await fetchArticle(`${baseUrl}/article`);
+
+    assert.equal(article.url, `${baseUrl}/article`);
+    assert.equal(article.canonicalUrl, 'https://www.example.com/news/rates');
+    assert.equal(article.domain, 'example.com');
+    assert.equal(article.headline, 'Central bank holds rates');
+    assert.equal(article.byline, 'Asha Rao');
+    assert.equal(article.publishedAt.toISOString(), '2024-03-01T10:00:00.000Z');
+    assert.equal(article.text, 'The central bank kept its policy rate at 6.5% on Friday.\n\n"Inflation is easing," the governor said.');
+}));
+
+test('fetchArticle follows relative redirects and reports the final URL', withPrivateHosts(async () => {
+    const article = await fetchArticle(`${baseUrl}/moved`);
+    assert.equal(article.url, `${baseUrl}/article`);
+}));
+
+test('fetchArticle checks every redirect hop', withPrivateHosts(async () => {
+    await assert.rejects(fetchArticle(`${baseUrl}/to-ftp`), { message: 'url must use http or https', status: 400 });
+    await assert.rejects(fetchArticle(`${baseUrl}/loop`), /more than 5 redirects/);
+    await assert.rejects(fetchArticle(`${baseUrl}/no-location`), /without a redirect location/);
+}));
+
+test('fetchArticle rejects non-HTML, oversized and empty pages', withPrivateHosts(async () => {
+    await assert.rejects(fetchArticle(`${baseUrl}/report.pdf`), { message: 'Expected an HTML page but got application/pdf', status: 422 });
+    await assert.rejects(fetchArticle(`${baseUrl}/huge`), /maxContentLength/);
+    await assert.rejects(fetchArticle(`${baseUrl}/empty`), { message: 'No article text found at url' });
+    await assert.rejects(fetchArticle(`${baseUrl}/missing`), /status code 404/);
+}));
+
+test('extractArticle falls back to the page URL for a malformed canonical link', () => {
+    const html = '<html><head><link rel="canonical" href="http://[x"></head><body><p>Some text.</p></body></html>';
+    const article = extractArticle(html, 'https://www.news.example/story');
+
+    assert.equal(article.canonicalUrl, 'https://www.news.example/story');
+    assert.equal(article.domain, 'news.example');
+    assert.equal(article.text, 'Some text.');
+});
+
+test('extractArticle ignores non-web canonical links', () => {
+    const html = '<html><head><link rel="canonical" href="javascript:alert(1)"></head><body><p>Text.</p></body></html>';
+    assert.equal(extractArticle(html, 'https://news.example/a').canonicalUrl, 'https://news.example/a');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+// Small caps, read when the module loads
+process.env.BATCH_MAX_QUEUED_ITEMS = '5';
+process.env.BATCH_MAX_JOBS = '3';
+const { validateBatchCheck, createBatchCheck, getBatchCheck } = require('../controllers/checkController');
+const { getBatchJob } = require('../utils/batchJobs');
+const checkRoute = require('../routes/checkRoute');
+
+function response() {
+    return {
+        statusCode: 200,
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+function request(apiKeyId, overrides = {}) {
+    return {
+        body: {},
+        query: {},
+        params: {},
+        baseUrl: '/api/check',
+        apiKey: apiKeyId ? { _id: apiKeyId } : undefined,
+        ...overrides
+    };
+}
+
+// Runs validateBatchCheck and then createBatchCheck, as the route does
+function queue(req) {
+    const res = response();
+    validateBatchCheck(req, res, () => createBatchCheck(req, res));
+    return res;
+}
+
+function waitForJob(id) {
+    return new Promise(resolve => {
+        const poll = () => (getBatchJob(id).status === 'completed' ? resolve() : setTimeout(poll, 10));
+        poll();
+    });
+}
+
+test('a batch job can only be read with the key that created it', async () => {
+    // Heuristic mode, so the job runs without any network calls
+    const created = queue(request('key-a', { body: { items: ['Prices rose 5% in 2023.'], mode: 'heuristic' } }));
+    assert.equal(created.statusCode, 202);
+    const params = { id: created.body.jobId };
+
+    const owner = response();
+    getBatchCheck(request('key-a', { params }), owner);
+    assert.equal(owner.statusCode, 200);
+    assert.equal(owner.body.id, params.id);
+    assert.equal('apiKeyId' in owner.body, false);
+
+    const other = response();
+    getBatchCheck(request('key-b', { params }), other);
+    assert.equal(other.statusCode, 404);
+
+    const anonymous = response();
+    getBatchCheck(request(null, { params }), anonymous);
+    assert.equal(anonymous.statusCode, 404);
+    await waitForJob(params.id);
+});
+
+test('batches that would overfill the queue are turned away', async () => {
+    const items = ['One claim.', 'Two claims.', 'Three claims.', 'Four claims.', 'Five claims.'];
+    const first = queue(request('key-a', { body: { items, mode: 'heuristic' } }));
+    assert.equal(first.statusCode, 202);
+
+    // Two items start right away; the other three are still waiting
+    const second = queue(request('key-a', { body: { items: items.slice(0, 3), mode: 'heuristic' } }));
+    assert.equal(second.statusCode, 503);
+    assert.equal(second.headers['Retry-After'], '30');
+
+    await waitForJob(first.body.jobId);
+    assert.equal(queue(request('key-a', { body: { items: items.slice(0, 3), mode: 'heuristic' } })).statusCode, 202);
+});
+
+test('the oldest finished jobs make way for new ones', async () => {
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+        const created = queue(request('key-a', { body: { items: [`Claim number ${i}.`], mode: 'heuristic' } }));
+        assert.equal(created.statusCode, 202);
+        ids.push(created.body.jobId);
+        await waitForJob(created.body.jobId);
+    }
+
+    assert.equal(getBatchJob(ids[0]), null);
+    assert.notEqual(getBatchJob(ids[3]), null);
+});
+
+test('a batch is validated before it is charged to the client', async (t) => {
+    process.env.API_KEYS_REQUIRED = 'true';
+    t.after(() => delete process.env.API_KEYS_REQUIRED);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/check', checkRoute);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const post = (body) => new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${server.address().port}/api/check/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+
+    // Malformed and oversized batches fail validation before the missing key is noticed
+    assert.equal(await post({ items: 'not a list' }), 400);
+    assert.equal(await post({ items: new Array(51).fill('A claim.') }), 400);
+    assert.equal(await post({ items: ['A claim.'] }), 401);
+});
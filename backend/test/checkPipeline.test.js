@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const { runCheck, checkWithCache } = require('../utils/checkPipeline');
+const { createMongoCache, getCheckCache } = require('../utils/checkCache');
+const { getHeuristicProviders } = require('../utils/providers');
+const { resolveLanguage } = require('../utils/languages');
+
+const CONTENT = 'According to Reuters, the city council approved a 12% budget increase on 3 March 2024. ' +
+    'The mayor said the money would go to schools and road repairs over the next two years.';
+
+// A mongoose query stand-in: every chained call returns itself and awaiting it gives `result`
+function fakeQuery(result) {
+    const query = new Proxy({}, {
+        get: (target, property) => (property === 'then'
+            ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+            : () => query)
+    });
+    return query;
+}
+
+// Stand in for a connected database: reports are kept in memory, every other collection is empty
+function fakeDatabase(t) {
+    const reports = [];
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+
+    Object.values(mongoose.models).forEach(model => {
+        t.mock.method(model, 'find', () => fakeQuery(model === UserReport ? reports : []));
+        t.mock.method(model, 'findOne', () => fakeQuery(null));
+    });
+    t.mock.method(UserReport, 'create', async (doc) => {
+        reports.push(doc);
+        return doc;
+    });
+
+    return reports;
+}
+
+function heuristicInput(content = CONTENT) {
+    return { content, mode: 'heuristic', providers: getHeuristicProviders(), language: resolveLanguage(content) };
+}
+
+test('repeat submissions served from the cache are still recorded in the original cluster', async (t) => {
+    const reports = fakeDatabase(t);
+    const input = heuristicInput();
+
+    const first = await checkWithCache(input);
+    assert.equal(first.cached, false);
+    assert.equal(reports.length, 1);
+    assert.equal(String(first.reportId), String(reports[0]._id));
+
+    const repeat = await checkWithCache({ ...input, content: `  ${CONTENT.toUpperCase()} ` });
+    assert.equal(repeat.cached, true);
+    assert.equal(String(repeat.cachedFrom), String(first.reportId));
+    assert.equal(reports.length, 2);
+    assert.equal(String(repeat.reportId), String(reports[1]._id));
+    assert.equal(String(reports[1].cachedFrom), String(first.reportId));
+    assert.equal(String(reports[1].clusterId), String(reports[0].clusterId));
+    assert.equal(repeat.combinedMetrics.credibilityScore, first.combinedMetrics.credibilityScore);
+});
+
+test('a failing cache write still returns the finished check', async (t) => {
+    const cache = getCheckCache();
+    t.mock.method(cache, 'set', async () => {
+        throw new Error('cache unavailable');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const result = await checkWithCache(heuristicInput('A different claim: prices rose 40% in 2023, officials said.'));
+    assert.equal(result.cached, false);
+    assert.equal(typeof result.combinedMetrics.credibilityScore, 'number');
+    assert.equal(cache.set.mock.callCount(), 1);
+});
+
+test('the mongo cache returns only the check result', async (t) => {
+    const result = await runCheck(heuristicInput());
+    const report = {
+        ...result,
+        _id: new mongoose.Types.ObjectId(),
+        __v: 0,
+        contentHash: 'hash',
+        minhash: { signature: [1, 2, 3], bands: ['a'] },
+        clusterId: new mongoose.Types.ObjectId(),
+        feedback: [],
+        feedbackStats: { total: 0 }
+    };
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+    t.mock.method(UserReport, 'findOne', () => fakeQuery(report));
+
+    const hit = await createMongoCache({ ttl: 3600 }).get('hash');
+    ['_id', '__v', 'contentHash', 'minhash', 'clusterId', 'feedback', 'feedbackStats']
+        .forEach(field => assert.equal(field in hit.result, false, field));
+    assert.equal(hit.result.reportId, report._id);
+    assert.deepEqual(hit.result.combinedMetrics, result.combinedMetrics);
+});
+
+test('the summary only credits content signals when they count towards the score', async () => {
+    const heuristic = await runCheck(heuristicInput());
+    assert.match(heuristic.explanation.summary, /The text includes [^.]+, which raised the heuristic score\./);
+    assert.deepEqual(heuristic.explanation.authenticity, {
+        credibilityContribution: heuristic.combinedMetrics.credibilityScore,
+        truthContribution: heuristic.combinedMetrics.truthScore,
+        overallScore: Math.round((heuristic.combinedMetrics.credibilityScore + heuristic.combinedMetrics.truthScore) / 2)
+    });
+
+    // A full check whose only analyzer leaves the content signals out of the score
+    const classifier = {
+        name: 'classifier',
+        weight: 1,
+        retries: 1,
+        timeout: 1000,
+        analyze: async () => ({ scores: { credibilityScore: 70, truthScore: 70, confidence: 80 }, details: {} })
+    };
+    const full = await runCheck({ ...heuristicInput(), mode: 'full', providers: [classifier] });
+    assert.equal(full.explanation.contentFactors.countsTowardsScore, false);
+    assert.match(full.explanation.summary, /The text includes [^.]+, which doesn't affect the score in this mode\./);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { EventEmitter } = require('events');
+const checkRoute = require('../routes/checkRoute');
+const { streamCheck } = require('../controllers/checkController');
+
+async function startServer(t) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/check', checkRoute);
+
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    t.mock.method(console, 'log', () => {});
+    return `http://127.0.0.1:${server.address().port}/api/check`;
+}
+
+// Reads a whole event stream into [{ event, data }], skipping heartbeat comments
+function readEvents(url, { method = 'GET', body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+            method,
+            headers: { 'Accept': 'text/event-stream', 'Content-Type': 'application/json' }
+        }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({
+                contentType: res.headers['content-type'],
+                events: text.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+                    const [event, data] = block.split('\n');
+                    return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+                })
+            }));
+        });
+        req.on('error', reject);
+        req.end(body && JSON.stringify(body));
+    });
+}
+
+test('a streamed check reports each stage before the final result', async (t) => {
+    const base = await startServer(t);
+    const content = 'According to Reuters, the city council approved a 12% budget increase on 3 March 2024.';
+    const query = new URLSearchParams({ content, mode: 'heuristic' });
+
+    const { contentType, events } = await readEvents(`${base}/stream?${query}`);
+    const names = events.map(({ event }) => event);
+
+    assert.match(contentType, /^text\/event-stream/);
+    assert.equal(names[0], 'started');
+    assert.equal(names[names.length - 1], 'result');
+    assert.ok(['analyzer', 'claims', 'sources', 'entities'].every(name => names.includes(name)));
+
+    assert.deepEqual(events[0].data, { mode: 'heuristic', language: events[0].data.language, article: null, ocr: null });
+    assert.equal(events[0].data.language.code, 'en');
+    const analyzer = events.find(({ event }) => event === 'analyzer').data;
+    assert.equal(analyzer.name, 'heuristic');
+    assert.equal(analyzer.status, 'ok');
+
+    const result = events[events.length - 1].data;
+    assert.equal(result.cached, false);
+    assert.equal(result.combinedMetrics.credibilityScore, analyzer.scores.credibilityScore + result.explanation.score.sourceAdjustment + result.explanation.score.manipulationAdjustment);
+    assert.deepEqual(events.find(({ event }) => event === 'sources').data.sources, result.sourceAnalysis.sources);
+});
+
+test('asking the main endpoint for an event stream streams the check', async (t) => {
+    const base = await startServer(t);
+    const { events } = await readEvents(base, {
+        method: 'POST',
+        body: { content: 'Officials said 40 people attended the meeting on Monday.', mode: 'heuristic' }
+    });
+
+    assert.equal(events[0].event, 'started');
+    assert.equal(events[events.length - 1].event, 'result');
+});
+
+test('a check that cannot start ends the stream with an error event', async (t) => {
+    const base = await startServer(t);
+
+    const missing = await readEvents(`${base}/stream`);
+    assert.deepEqual(missing.events, [{ event: 'error', data: { status: 400, error: 'Content, url or image is required', details: {} } }]);
+
+    const badMode = await readEvents(`${base}/stream?${new URLSearchParams({ content: 'A claim.', mode: 'psychic' })}`);
+    assert.equal(badMode.events.length, 1);
+    assert.equal(badMode.events[0].data.status, 400);
+    assert.match(badMode.events[0].data.error, /^mode must be one of/);
+});
+
+test('nothing more is written once the client goes away', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const req = { method: 'GET', query: { content: 'Officials said 40 people attended the meeting.', mode: 'heuristic' }, get: () => undefined };
+    const res = Object.assign(new EventEmitter(), {
+        writes: [],
+        set() {},
+        flushHeaders() {},
+        // The client disconnects once it has the first event
+        write(chunk) {
+            this.writes.push(chunk);
+            this.emit('close');
+        },
+        end() {
+            this.ended = true;
+        }
+    });
+
+    await streamCheck(req, res);
+
+    assert.equal(res.writes.length, 1);
+    assert.match(res.writes[0], /^event: started\n/);
+    assert.equal(res.ended, true);
+});
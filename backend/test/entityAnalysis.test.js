@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ReferenceFact = require('../models/referenceFact');
+const { findNames, findFiguresAndDates, findReferenceFacts, analyzeEntities } = require('../utils/entityAnalysis');
+const { runCheck } = require('../utils/checkPipeline');
+const { getHeuristicProviders } = require('../utils/providers');
+const { resolveLanguage } = require('../utils/languages');
+
+function fakeQuery(result) {
+    const query = new Proxy({}, {
+        get: (target, property) => (property === 'then'
+            ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+            : () => query)
+    });
+    return query;
+}
+
+function connected(t) {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+}
+
+// Reference facts as stored, with the match keys the model derives on save
+async function referenceFacts(...facts) {
+    return Promise.all(facts.map(async (fields) => {
+        const fact = new ReferenceFact(fields);
+        await fact.validate();
+        return fact.toObject();
+    }));
+}
+
+const INDIA_FACTS = [
+    { entity: 'India', entityType: 'place', attribute: 'population', valueType: 'number', value: 1.43e9, tolerance: 0.1, source: 'UN', asOf: '2023' },
+    { entity: 'India', entityType: 'place', attribute: 'Prime Minister', attributeAliases: ['PM'], valueType: 'text', value: 'Narendra Modi', valueAliases: ['Modi'], since: '2014' },
+    { entity: 'Reserve Bank of India', aliases: ['RBI'], entityType: 'organization', attribute: 'founded', valueType: 'date', value: '1935-04-01' }
+];
+
+test('names are typed from titles, organisation words and the preposition before them', () => {
+    const names = findNames('The meeting in Pune was chaired by Dr. Asha Rao. Officials from the State Bank attended, as did NASA staff and Vikram Singh.', 'en');
+
+    assert.deepEqual(names.map(({ name, type }) => [name, type]), [
+        ['Pune', 'place'],
+        ['Asha Rao', 'person'],
+        ['State Bank', 'organization'],
+        ['NASA', 'organization'],
+        ['Vikram Singh', 'person']
+    ]);
+    // "The" and "Officials" only open their sentences
+    assert.equal(names.some(({ name }) => /^(The|Officials)\b/.test(name)), false);
+
+    const hindi = findNames('प्रधानमंत्री नरेंद्र मोदी ने कहा', 'hi');
+    assert.deepEqual(hindi.map(({ name, type }) => [name, type]), [['नरेंद्र मोदी', 'person']]);
+});
+
+test('bare years are read as dates rather than figures', () => {
+    const { numbers, dates } = findFiguresAndDates('Inflation was 5.1% in 2023, down from 6.7% on March 4, 2022, and 140 crore people were affected.', 'en');
+
+    assert.deepEqual(numbers.map(({ text, value, unit }) => [text, value, unit]), [
+        ['5.1%', 5.1, '%'],
+        ['6.7%', 6.7, '%'],
+        ['140 crore', 1.4e9, null]
+    ]);
+    assert.deepEqual(dates.map(({ text, value, precision }) => [text, value, precision]), [
+        ['2023', '2023', 'year'],
+        ['March 4, 2022', '2022-03-04', 'day']
+    ]);
+});
+
+test('reference facts are looked up by every short run of words in the content', async (t) => {
+    assert.deepEqual(await findReferenceFacts('India has 140 crore people.', []), []);
+
+    connected(t);
+    t.mock.method(ReferenceFact, 'find', () => fakeQuery([]));
+    await findReferenceFacts('The Reserve Bank of India said', [{ name: 'RBI' }]);
+
+    const keys = ReferenceFact.find.mock.calls[0].arguments[0].keys.$in;
+    assert.ok(['rbi', 'reserve bank of india', 'india', 'bank of india said'].every(key => keys.includes(key)));
+    assert.equal(keys.includes('the reserve bank of india'), false);
+
+    ReferenceFact.find.mock.mockImplementation(() => fakeQuery(Promise.reject(new Error('connection reset'))));
+    t.mock.method(console, 'error', () => {});
+    assert.deepEqual(await findReferenceFacts('India', []), []);
+});
+
+test('figures, office holders and dates are checked against the reference facts', async (t) => {
+    connected(t);
+    const facts = await referenceFacts(...INDIA_FACTS);
+    t.mock.method(ReferenceFact, 'find', () => fakeQuery(facts));
+
+    const result = await analyzeEntities(
+        'India has a population of 140 crore. The PM of India, Narendra Modi, has held office since 2014. ' +
+        'Some posts claim India has a population of 90 crore and that Rahul Gandhi is now Prime Minister of India. ' +
+        'The RBI was founded in 1949.',
+        'en'
+    );
+    const summary = result.checks.map(({ attribute, kind, status, claimed }) => [attribute, kind, status, claimed && claimed.text]);
+
+    assert.equal(result.referenceFacts, 3);
+    assert.equal(result.contradictions, 3);
+    // Contradictions come first
+    assert.deepEqual(summary, [
+        ['population', 'numeric', 'contradicted', '90 crore'],
+        ['Prime Minister', 'text', 'contradicted', 'Rahul Gandhi'],
+        ['founded', 'temporal', 'contradicted', '1949'],
+        ['population', 'numeric', 'consistent', '140 crore'],
+        ['Prime Minister', 'temporal', 'consistent', 'since 2014']
+    ]);
+    assert.equal(result.checks[0].difference, 0.371);
+    assert.deepEqual([result.checks[0].source, result.checks[0].asOf], ['UN', '2023']);
+
+    // Aliases and the stored type are folded into the entity
+    const rbi = result.entities.find(({ name }) => name === 'Reserve Bank of India');
+    assert.deepEqual([rbi.type, rbi.mentions], ['organization', 1]);
+    assert.equal(result.entities.find(({ name }) => name === 'India').type, 'place');
+});
+
+test('a wrong start year for the right office holder is a contradiction', async (t) => {
+    connected(t);
+    const facts = await referenceFacts(INDIA_FACTS[1]);
+    t.mock.method(ReferenceFact, 'find', () => fakeQuery(facts));
+
+    const { checks } = await analyzeEntities('Modi has been Prime Minister of India since 2019.', 'en');
+    assert.deepEqual(checks.map(({ kind, status, expected, claimed }) => [kind, status, expected, claimed.value]), [['temporal', 'contradicted', '2014', '2019']]);
+});
+
+test('contradictions are reported without changing the score', async (t) => {
+    const content = 'Officials said India has a population of 90 crore, according to the census.';
+    const input = { content, mode: 'heuristic', providers: getHeuristicProviders(), language: resolveLanguage(content) };
+    const offline = await runCheck(input);
+
+    connected(t);
+    Object.values(mongoose.models).forEach(model => t.mock.method(model, 'find', () => fakeQuery([])));
+    const facts = await referenceFacts(INDIA_FACTS[0]);
+    ReferenceFact.find.mock.mockImplementation(() => fakeQuery(facts));
+    const checked = await runCheck(input);
+
+    assert.equal(checked.entityAnalysis.contradictions, 1);
+    assert.deepEqual(checked.explanation.entityCheck.contradictions, [
+        { entity: 'India', attribute: 'population', kind: 'numeric', expected: 1.43e9, claimed: '90 crore' }
+    ]);
+    assert.match(checked.explanation.summary, /It contradicts our reference data on the population of India\./);
+    assert.equal(checked.combinedMetrics.credibilityScore, offline.combinedMetrics.credibilityScore);
+});
+
+test('reference facts must carry a value of their declared type', async () => {
+    const invalid = new ReferenceFact({ entity: 'India', attribute: 'population', valueType: 'number', value: 'a lot' });
+    await assert.rejects(invalid.validate(), /value must be a number/);
+
+    const [fact] = await referenceFacts({ entity: 'The  Reserve Bank', aliases: ['RBI', ''], attribute: 'Governor', valueType: 'text', value: 'Sanjay Malhotra' });
+    assert.deepEqual([fact.keys, fact.attributeKeys], [['reserve bank', 'rbi'], ['governor']]);
+});
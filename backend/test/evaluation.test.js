@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const axios = require('axios');
+const { loadAnalyzerConfig, createProvider } = require('../utils/providers');
+const { getScoringConfig } = require('../utils/scoring');
+const {
+    parseDataset,
+    extractFeatures,
+    predict,
+    computeMetrics,
+    fitScoringConfig
+} = require('../utils/evaluation');
+
+// Responses recorded from the huggingface and mistral analyzers; the last item's mistral call failed
+const DATASET = path.join(__dirname, 'fixtures/evaluation.jsonl');
+
+// Every configured analyzer, as the evaluate script builds them for a replay
+function replayableProviders() {
+    return loadAnalyzerConfig().filter(entry => entry.enabled !== false).map(createProvider);
+}
+
+async function loadSamples() {
+    const providers = replayableProviders();
+    const items = parseDataset(fs.readFileSync(DATASET, 'utf8'));
+    const samples = [];
+    for (const item of items) {
+        samples.push({ item, features: await extractFeatures({ responses: {}, ...item }, providers) });
+    }
+    return samples;
+}
+
+test('parseDataset reads labelled items and names the offending line', () => {
+    const items = parseDataset(fs.readFileSync(DATASET, 'utf8'));
+    assert.equal(items.length, 6);
+    assert.equal(items[0].id, 'budget');
+
+    assert.throws(() => parseDataset('{"content": "x", "label": "reliable"}\nnot json'), /Line 2: invalid JSON/);
+    assert.throws(() => parseDataset('{"content": "x", "label": "maybe"}'), /Line 1: label must be one of/);
+    assert.throws(() => parseDataset('{"label": "reliable"}'), /Line 1: content is required/);
+});
+
+test('replays score recorded responses without calling any upstream', async (t) => {
+    const offline = async () => {
+        throw new Error('Replays must not make network calls');
+    };
+    t.mock.method(axios, 'get', offline);
+    t.mock.method(axios, 'post', offline);
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    const samples = await loadSamples();
+    assert.equal(axios.get.mock.callCount() + axios.post.mock.callCount(), 0);
+
+    samples.forEach(({ item, features }) => {
+        assert.ok(features, item.id);
+        assert.ok(features.facts, item.id);
+        assert.equal(features.analyzers.huggingface.weight, 0.6);
+    });
+
+    // Fractions and "88%" in the recorded mistral reply come out on 0..100
+    assert.equal(samples[0].features.analyzers.mistral.credibilityScore, 88);
+    // A failed recording is scored as if the analyzer had failed
+    assert.equal(samples[5].features.analyzers.mistral, undefined);
+});
+
+test('predict under the current config reproduces the pipeline', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const config = getScoringConfig();
+
+    (await loadSamples()).forEach(({ item, features }) => {
+        const prediction = predict(features, config);
+        assert.equal(prediction.credibilityScore, features.pipeline.credibilityScore, item.id);
+        assert.equal(prediction.label, features.pipeline.label, item.id);
+    });
+});
+
+test('computeMetrics counts every item and fitting never does worse', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const samples = await loadSamples();
+    const current = computeMetrics(samples, getScoringConfig());
+
+    assert.equal(current.total, 6);
+    const confused = Object.values(current.confusionMatrix)
+        .reduce((sum, row) => sum + Object.values(row).reduce((a, b) => a + b, 0), 0);
+    assert.equal(confused, 6);
+    assert.equal(current.calibration.reduce((sum, bin) => sum + bin.count, 0), 6);
+
+    const fittedConfig = fitScoringConfig(samples, getScoringConfig());
+    const fitted = computeMetrics(samples, fittedConfig);
+    assert.ok(fitted.accuracy >= current.accuracy);
+
+    const levels = Object.values(fittedConfig.reliabilityThresholds);
+    assert.deepEqual([...levels].sort((a, b) => b - a), levels);
+});
+
+test('the evaluate script prints a JSON report for a recorded dataset', () => {
+    const run = spawnSync(process.execPath, [path.join(__dirname, '../scripts/evaluate.js'), DATASET, '--fit', '--json'], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+
+    assert.equal(run.status, 0, run.stderr);
+    const report = JSON.parse(run.stdout);
+    assert.equal(report.current.total, 6);
+    assert.ok(report.fitted.accuracy >= report.current.accuracy);
+    assert.ok(report.fittedConfig.analyzerWeights.huggingface !== undefined);
+});
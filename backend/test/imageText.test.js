@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tesseract = require('tesseract.js');
+
+// imageText picks up createWorker when it's loaded, so swap in a fake worker first
+process.env.OCR_TIMEOUT_MS = '50';
+let recognize;
+const started = [];
+test.mock.method(tesseract, 'createWorker', async (languages, oem, options) => {
+    const worker = {
+        languages,
+        options,
+        terminated: false,
+        recognize: (buffer) => recognize(buffer),
+        terminate: async () => {
+            worker.terminated = true;
+        }
+    };
+    started.push(worker);
+    return worker;
+});
+const { MAX_IMAGE_SIZE, ImageTextError, extractImageText } = require('../utils/imageText');
+
+function png(width, height) {
+    const buffer = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12, 'latin1');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+}
+
+// SOI, a JFIF APP0 segment and a baseline start-of-frame
+function jpeg(width, height) {
+    const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+    const sof = Buffer.alloc(19);
+    sof.writeUInt16BE(0xffc0, 0);
+    sof.writeUInt16BE(17, 2);
+    sof[4] = 8;
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof]);
+}
+
+function gif(width, height) {
+    const buffer = Buffer.alloc(13);
+    buffer.write('GIF89a', 0, 'latin1');
+    buffer.writeUInt16LE(width, 6);
+    buffer.writeUInt16LE(height, 8);
+    return buffer;
+}
+
+function webp(width, height) {
+    const buffer = Buffer.alloc(30);
+    buffer.write('RIFF', 0, 'latin1');
+    buffer.write('WEBPVP8X', 8, 'latin1');
+    buffer.writeUIntLE(width - 1, 24, 3);
+    buffer.writeUIntLE(height - 1, 27, 3);
+    return buffer;
+}
+
+function tiff(width, height) {
+    const buffer = Buffer.alloc(8 + 2 + 2 * 12);
+    buffer.write('II*\u0000', 0, 'latin1');
+    buffer.writeUInt32LE(8, 4);
+    buffer.writeUInt16LE(2, 8);
+    [[256, width], [257, height]].forEach(([tag, value], i) => {
+        const entry = 10 + i * 12;
+        buffer.writeUInt16LE(tag, entry);
+        buffer.writeUInt16LE(4, entry + 2);
+        buffer.writeUInt32LE(1, entry + 4);
+        buffer.writeUInt32LE(value, entry + 8);
+    });
+    return buffer;
+}
+
+async function rejectsWith(promise, status, message) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof ImageTextError);
+        assert.equal(error.status, status);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test.beforeEach(() => {
+    process.env.TESSERACT_LANG_PATH = '/opt/tessdata';
+    recognize = async () => ({ data: { text: 'Council approves budget  \n\n\n\nschools first', confidence: 91.4 } });
+});
+
+test('images over the byte limit or in other formats are refused before OCR', async () => {
+    const oversized = Buffer.concat([png(100, 100), Buffer.alloc(MAX_IMAGE_SIZE)]);
+    await rejectsWith(extractImageText(oversized), 413, /at most 5 MB/);
+    await rejectsWith(extractImageText(Buffer.from('%PDF-1.7 not an image at all')), 415, /image must be one of/);
+    assert.equal(started.length, 0);
+});
+
+test('images whose headers claim huge dimensions are refused before OCR', async () => {
+    for (const image of [png(20000, 20000), jpeg(6000, 6000), gif(65535, 65535), webp(10000, 5000), tiff(40000, 1000)]) {
+        await rejectsWith(extractImageText(image), 413, /at most 25 megapixels/);
+    }
+    await rejectsWith(extractImageText(jpeg(6000, 6000).subarray(0, 24)), 422, /dimensions/);
+    assert.equal(started.length, 0);
+});
+
+test('OCR needs local traineddata', async () => {
+    delete process.env.TESSERACT_LANG_PATH;
+    await rejectsWith(extractImageText(png(800, 600)), 503, /TESSERACT_LANG_PATH/);
+    assert.equal(started.length, 0);
+});
+
+test('recognised text is tidied and reported with its confidence', async () => {
+    const result = await extractImageText(jpeg(800, 600), { language: 'en' });
+
+    assert.deepEqual(result, {
+        text: 'Council approves budget\n\nschools first',
+        confidence: 91,
+        imageType: 'image/jpeg',
+        ocrLanguages: 'eng'
+    });
+    assert.equal(started[0].options.langPath, '/opt/tessdata');
+});
+
+test('a timed-out recognition stops its worker, and the next image gets a fresh one', async () => {
+    recognize = () => new Promise(() => {});
+    const before = started.length;
+    await rejectsWith(extractImageText(png(800, 600), { language: 'en' }), 502, /OCR timed out/);
+
+    const stuck = started[started.length - 1];
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(stuck.terminated, true);
+
+    recognize = async () => ({ data: { text: 'Back to normal', confidence: 80 } });
+    const result = await extractImageText(png(800, 600), { language: 'en' });
+    assert.equal(result.text, 'Back to normal');
+    assert.equal(started.length, before + 1);
+    assert.notEqual(started[started.length - 1], stuck);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, resolveLanguage, getLanguagePack } = require('../utils/languages');
+const { extractNewsSource, findDates, findNumbers, hasStatistics, countCitations } = require('../utils/heuristics');
+
+test('the language is detected from the script and from Hinglish function words', () => {
+    const devanagari = detectLanguage('पीटीआई के अनुसार सरकार ने 15 अगस्त 2023 को नई योजना शुरू की।');
+    assert.equal(devanagari.code, 'hi');
+    assert.equal(devanagari.script, 'devanagari');
+
+    // English names and figures mixed into Hindi copy don't outweigh the Devanagari
+    assert.equal(detectLanguage('PM Modi ने Delhi में G20 summit के बारे में कहा कि भारत तैयार है').code, 'hi');
+
+    const hinglish = detectLanguage('Yeh khabar sach nahi hai, sarkar ne aisa koi order jaari nahi kiya hai');
+    assert.equal(hinglish.code, 'hi');
+    assert.equal(hinglish.script, 'latin');
+
+    const english = detectLanguage('The finance ministry said the new scheme starts in August.');
+    assert.deepEqual(english, { code: 'en', name: 'English', script: 'latin', confidence: 1, source: 'detected' });
+
+    // A stray Hindi word in English text isn't enough
+    assert.equal(detectLanguage('The minister said the sarkar will announce the budget on Monday next week.').code, 'en');
+    assert.deepEqual(detectLanguage('12 / 45 !!'), { code: 'en', name: 'English', script: 'latin', confidence: 0, source: 'detected' });
+});
+
+test('a requested language overrides the detected one', () => {
+    assert.deepEqual(resolveLanguage('Prices rose 5% in 2023.', 'hi'), { code: 'hi', name: 'Hindi', script: 'latin', confidence: 1, source: 'requested' });
+    assert.equal(resolveLanguage('कीमतें 2023 में 5% बढ़ीं', 'hi').source, 'detected');
+    assert.equal(resolveLanguage('कीमतें 2023 में 5% बढ़ीं', 'en').script, 'latin');
+    assert.equal(getLanguagePack('fr').code, 'en');
+});
+
+test('Hindi sources, citations, dates and figures are recognised', () => {
+    const content = 'पीटीआई के अनुसार स्वास्थ्य मंत्रालय ने 15 अगस्त 2023 को बताया कि 3 करोड़ लोगों को टीका लगा, जो 12 प्रतिशत की बढ़ोतरी है।';
+
+    const sources = extractNewsSource(content, { language: 'hi' });
+    assert.deepEqual(sources[0], { name: 'पीटीआई', type: 'Major News Agency', confidence: 'High' });
+    assert.ok(sources.some(({ name, type }) => type === 'Official Source' && name.endsWith('मंत्रालय')));
+    // The English patterns don't know Hindi agencies
+    assert.equal(extractNewsSource(content).some(({ name }) => name === 'पीटीआई'), false);
+
+    assert.ok(countCitations(content, 'hi') > 0);
+    assert.deepEqual(findDates(content, 'hi').map(({ text, value }) => [text, value]), [['15 अगस्त 2023', '2023-08-15']]);
+    assert.ok(hasStatistics(content, 'hi'));
+
+    const numbers = findNumbers(content, 'hi');
+    assert.equal(numbers.find(({ text }) => text.startsWith('3')).value, 3e7);
+    assert.equal(numbers.find(({ unit }) => unit === '%').value, 12);
+});
+
+test('Devanagari digits and day-first numeric dates are read', () => {
+    assert.deepEqual(findDates('रिपोर्ट ०३/०४/२०२४ को जारी हुई', 'hi').map(({ text, value }) => [text, value]), [['०३/०४/२०२४', '2024-04-03']]);
+    assert.equal(findNumbers('कुल २५ लाख रुपये', 'hi')[0].value, 2.5e6);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const limitByIp = require('../middleware/limitByIp');
+
+function send(middleware, ip) {
+    const res = {
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    middleware({ ip }, res, () => {
+        passed = true;
+    });
+    return { passed, res };
+}
+
+test('each IP gets its own per-minute allowance', () => {
+    const limit = limitByIp({ name: 'test', perMinute: 2 });
+
+    assert.equal(send(limit, '203.0.113.1').passed, true);
+    assert.equal(send(limit, '203.0.113.1').passed, true);
+
+    const blocked = send(limit, '203.0.113.1');
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 429);
+    assert.ok(Number(blocked.res.headers['Retry-After']) > 0);
+
+    assert.equal(send(limit, '203.0.113.2').passed, true);
+});
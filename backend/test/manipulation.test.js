@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MANIPULATION_SIGNALS, MAX_MANIPULATION_PENALTY, findSpans, detectManipulation } = require('../utils/manipulation');
+const { runCheck } = require('../utils/checkPipeline');
+const { getHeuristicProviders } = require('../utils/providers');
+const { resolveLanguage } = require('../utils/languages');
+
+const signalNames = (content, language = 'en') => detectManipulation(content, language).signals.map(({ signal }) => signal);
+
+test('plain reporting raises no signals', () => {
+    const result = detectManipulation('The US FDA approved the drug on Tuesday, the agency said in a statement. Was it expected? Analysts said yes.', 'en');
+
+    assert.deepEqual(result, { detected: false, signals: [], propagandaTechniques: [], adjustment: 0 });
+});
+
+test('each kind of manipulation is recognised with the text that triggered it', () => {
+    const content = 'SHOCKING!!! You won\'t believe what happened next. Share this before it\'s deleted!';
+    const result = detectManipulation(content, 'en');
+    const bySignal = Object.fromEntries(result.signals.map(signal => [signal.signal, signal]));
+
+    assert.deepEqual(Object.keys(bySignal), ['excessivePunctuation', 'sensational', 'clickbait', 'urgency']);
+    assert.deepEqual(bySignal.sensational.spans, [{ text: 'SHOCKING', start: 0, end: 8 }]);
+    assert.deepEqual(bySignal.excessivePunctuation.spans, [{ text: '!!!', start: 8, end: 11 }]);
+    assert.equal(bySignal.clickbait.spans[0].text, 'You won\'t believe');
+    // The urgency patterns overlap here and are reported as one span
+    assert.equal(bySignal.urgency.count, 1);
+    assert.equal(content.slice(bySignal.urgency.spans[0].start, bySignal.urgency.spans[0].end), bySignal.urgency.spans[0].text);
+    assert.equal(result.adjustment, -(3 + 4 + 5 + 6));
+    assert.deepEqual(result.propagandaTechniques, []);
+});
+
+test('propaganda techniques are named separately', () => {
+    const result = detectManipulation('These traitors will destroy the country. What about when they did the same?', 'en');
+
+    assert.deepEqual(result.propagandaTechniques, ['loaded language', 'whataboutism', 'appeal to fear']);
+});
+
+test('only runs of capitals long enough to be shouting count', () => {
+    assert.deepEqual(signalNames('The US FDA and the UK NHS agreed.'), []);
+    assert.deepEqual(signalNames('They are LYING TO YOU about this.'), ['allCaps']);
+});
+
+test('the penalty is capped however many signals fire', () => {
+    const content = 'BREAKING NEWS!!! Shocking truth revealed. You won\'t believe it. Forward this to everyone. ' +
+        'These traitors will kill us all. Where were you then? Your children are in danger.';
+    const result = detectManipulation(content, 'en');
+    const total = result.signals.reduce((sum, { penalty }) => sum + penalty, 0);
+
+    assert.equal(result.signals.length, Object.keys(MANIPULATION_SIGNALS).length);
+    assert.ok(total > MAX_MANIPULATION_PENALTY);
+    assert.equal(result.adjustment, -MAX_MANIPULATION_PENALTY);
+});
+
+test('Hindi and Hinglish forwards are read with the Hindi patterns', () => {
+    const hindi = 'बड़ा खुलासा: डिलीट होने से पहले सभी ग्रुप में भेजें, ये गद्दार देश को बर्बाद कर देगा';
+    assert.deepEqual(signalNames(hindi, 'hi'), ['sensational', 'urgency', 'loadedLanguage', 'appealToFear']);
+    assert.deepEqual(signalNames(hindi, 'en'), []);
+
+    assert.deepEqual(signalNames('Yeh video jaldi share karo, delete hone se pehle', 'hi'), ['urgency']);
+    // English phrasing still counts in Hindi forwards
+    assert.deepEqual(signalNames('URGENT: yeh sach hai, share with everyone', 'hi'), ['urgency']);
+});
+
+test('overlapping matches are merged into one span', () => {
+    assert.deepEqual(findSpans('share it now please', [/share it/g, /it now/g, /please/g]), [
+        { text: 'share it now', start: 0, end: 12 },
+        { text: 'please', start: 13, end: 19 }
+    ]);
+});
+
+test('manipulation takes points off the credibility score of a check', async () => {
+    const calm = 'Officials said the bridge will close for repairs on 3 March 2024.';
+    const alarmed = `${calm} SHARE THIS BEFORE IT'S DELETED!!! Your family will be next.`;
+    const check = (content) => runCheck({ content, mode: 'heuristic', providers: getHeuristicProviders(), language: resolveLanguage(content) });
+
+    const [before, after] = await Promise.all([check(calm), check(alarmed)]);
+    const { adjustment } = after.explanation.manipulation;
+
+    assert.equal(before.explanation.manipulation.adjustment, 0);
+    assert.ok(adjustment < 0);
+    assert.equal(after.explanation.score.total, after.explanation.score.analyzers + after.explanation.score.sourceAdjustment + adjustment);
+    assert.match(after.explanation.summary, /Signs of manipulation \(.*urgency to share.*\) took off \d+ points\./);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const util = require('util');
+const axios = require('axios');
+const createMistralProvider = require('../utils/providers/mistralProvider');
+
+test('failed Mistral calls are logged without the request headers', async (t) => {
+    t.mock.method(axios, 'post', async (url, body, config) => {
+        const error = new Error('Request failed with status code 429');
+        error.config = config;
+        error.response = { status: 429, data: { message: 'Rate limit exceeded' } };
+        throw error;
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const provider = createMistralProvider({ apiKey: 'mistral-secret-key' });
+    await assert.rejects(provider.analyze('The council approved the budget.', undefined, () => {}, { language: 'en' }), /429/);
+
+    const logged = console.error.mock.calls.map(call => util.format(...call.arguments)).join('\n');
+    assert.match(logged, /Mistral API Error: Request failed with status code 429 \(status 429\)/);
+    assert.equal(logged.includes('mistral-secret-key'), false);
+});
+
+function reply(content) {
+    return { data: { choices: [{ message: { content } }] } };
+}
+
+test('a reply that misses the schema is sent back once with its problems', async (t) => {
+    const replies = [
+        '{"credibility": "7/10", "verdict": "probably"}',
+        '```json\n{"credibilityScore": 70, "truthScore": "60%", "confidence": "8/10", "verdict": "Mixed",}\n```'
+    ];
+    t.mock.method(axios, 'post', async () => reply(replies.shift()));
+    t.mock.method(console, 'warn', () => {});
+
+    const provider = createMistralProvider({ apiKey: 'mistral-secret-key' });
+    const { scores, details } = await provider.analyze('The council approved the budget.', undefined, () => {}, { language: 'en' });
+
+    assert.deepEqual(scores, { credibilityScore: 70, truthScore: 60, confidence: 80 });
+    assert.equal(details.verdict, 'mixed');
+    assert.deepEqual(details.warnings, ['confidence rescaled from 8/10']);
+
+    assert.equal(axios.post.mock.callCount(), 2);
+    const messages = axios.post.mock.calls[1].arguments[1].messages;
+    assert.equal(messages.length, 4);
+    assert.equal(messages[2].role, 'assistant');
+    assert.equal(messages[2].content, '{"credibility": "7/10", "verdict": "probably"}');
+    assert.match(messages[3].content, /truthScore is missing; confidence is missing; verdict must be one of/);
+});
+
+test('a reply that is still invalid after the repair request fails the analyzer', async (t) => {
+    t.mock.method(axios, 'post', async () => reply('I am unable to assess this content.'));
+    t.mock.method(console, 'warn', () => {});
+
+    const provider = createMistralProvider({ apiKey: 'mistral-secret-key' });
+    await assert.rejects(
+        provider.analyze('The council approved the budget.', undefined, () => {}, { language: 'en' }),
+        { name: 'StructuredOutputError', message: /^Reply is not valid JSON/ }
+    );
+    assert.equal(axios.post.mock.callCount(), 2);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('a stored reply is re-scored without calling the API', (t) => {
+    t.mock.method(axios, 'post', async () => {
+        throw new Error('no network in replays');
+    });
+
+    const { scores, details } = createMistralProvider({ apiKey: 'k' }).score('{"credibility_score": 0.9, "truth": 0.8, "certainty": 0.7}');
+    assert.deepEqual(scores, { credibilityScore: 90, truthScore: 80, confidence: 70 });
+    assert.equal(details.warnings.length, 6);
+    assert.equal(axios.post.mock.callCount(), 0);
+});
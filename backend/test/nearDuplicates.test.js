@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const { computeSignature, signatureBands, estimateSimilarity, excerpt, findSimilarReports } = require('../utils/nearDuplicates');
+const { checkWithCache } = require('../utils/checkPipeline');
+const { getHeuristicProviders } = require('../utils/providers');
+const { resolveLanguage } = require('../utils/languages');
+const { getClusters } = require('../controllers/clusterController');
+
+const RUMOR = 'Forward this message: the government will ban all two-wheelers in Delhi from next Monday to cut pollution, ' +
+    'and anyone caught riding one will be fined ten thousand rupees on the spot.';
+const REWORDED = 'Please forward: the government will ban all two-wheelers in Delhi from next Monday to cut pollution, ' +
+    'and anyone caught riding one will be fined ten thousand rupees on the spot!!';
+const UNRELATED = 'The city council approved a 4% budget increase on Sunday, with most of the money going to schools and road repairs.';
+
+function fakeQuery(result) {
+    const query = new Proxy({}, {
+        get: (target, property) => (property === 'then'
+            ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+            : () => query)
+    });
+    return query;
+}
+
+function connected(t) {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+}
+
+function call(handler, query) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    return handler({ query }, res).then(() => res);
+}
+
+test('reworded copies of a claim get close MinHash signatures that share an LSH band', () => {
+    const rumor = computeSignature(RUMOR, 'en');
+    const reworded = computeSignature(REWORDED, 'en');
+    const unrelated = computeSignature(UNRELATED, 'en');
+
+    assert.equal(rumor.length, 64);
+    assert.deepEqual(computeSignature(RUMOR, 'en'), rumor);
+    assert.ok(estimateSimilarity(rumor, reworded) >= 0.5);
+    assert.ok(estimateSimilarity(rumor, unrelated) < 0.2);
+
+    const bands = new Set(signatureBands(rumor));
+    assert.equal(bands.size, 32);
+    assert.ok(signatureBands(reworded).some(band => bands.has(band)));
+    assert.equal(signatureBands(unrelated).some(band => bands.has(band)), false);
+
+    assert.equal(computeSignature('the of and 2024', 'en'), null);
+    assert.equal(estimateSimilarity(rumor, null), 0);
+});
+
+test('only close candidates are reported as similar, closest first', async (t) => {
+    const signature = computeSignature(RUMOR, 'en');
+    const clusterId = new mongoose.Types.ObjectId();
+    const candidate = (id, content, timestamp, extra = {}) => ({
+        _id: id,
+        content,
+        reliability: 'somewhat unreliable',
+        combinedMetrics: { credibilityScore: 25 },
+        timestamp: new Date(timestamp),
+        minhash: { signature: computeSignature(content, 'en') },
+        ...extra
+    });
+
+    // Without a database there is nothing to compare with, but the fingerprint is still made
+    const offline = await findSimilarReports(RUMOR, 'en');
+    assert.deepEqual(offline.fingerprint, { signature, bands: signatureBands(signature) });
+    assert.deepEqual(offline.similarReports, []);
+
+    connected(t);
+    t.mock.method(UserReport, 'find', () => fakeQuery([
+        candidate('reworded', REWORDED, '2024-05-02', { clusterId }),
+        candidate('unrelated', UNRELATED, '2024-05-03'),
+        candidate('exact', `${RUMOR} ${'More details follow. '.repeat(10)}`.slice(0, 400), '2024-05-01')
+    ]));
+
+    const { similarReports } = await findSimilarReports(RUMOR, 'en');
+
+    assert.deepEqual(UserReport.find.mock.calls[0].arguments[0], { 'minhash.bands': { $in: signatureBands(signature) } });
+    assert.deepEqual(similarReports.map(report => report.reportId).sort(), ['exact', 'reworded']);
+    assert.ok(similarReports[0].similarity >= similarReports[1].similarity);
+    assert.ok(similarReports[1].similarity >= 0.5);
+    // A report that predates clustering is its own cluster
+    assert.equal(similarReports.find(report => report.reportId === 'exact').clusterId, 'exact');
+    assert.equal(similarReports.find(report => report.reportId === 'reworded').clusterId, clusterId);
+    assert.equal(similarReports.find(report => report.reportId === 'exact').excerpt.length, 200);
+    assert.equal(excerpt('  a\n\n b  '), 'a b');
+});
+
+test('a check joins the cluster of its closest earlier report, or starts its own', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    connected(t);
+    const clusterId = new mongoose.Types.ObjectId();
+    const earlier = {
+        _id: new mongoose.Types.ObjectId(),
+        clusterId,
+        content: RUMOR,
+        reliability: 'somewhat unreliable',
+        timestamp: new Date('2024-05-01'),
+        minhash: { signature: computeSignature(RUMOR, 'en') }
+    };
+    t.mock.method(UserReport, 'find', () => fakeQuery([earlier]));
+    t.mock.method(UserReport, 'create', async (doc) => doc);
+    Object.values(mongoose.models)
+        .filter(model => model !== UserReport)
+        .forEach(model => t.mock.method(model, 'find', () => fakeQuery([])));
+
+    const check = (content) => checkWithCache(
+        { content, mode: 'heuristic', providers: getHeuristicProviders(), language: resolveLanguage(content) },
+        { fresh: true }
+    );
+
+    const repeat = await check(REWORDED);
+    const saved = UserReport.create.mock.calls[0].arguments[0];
+    assert.equal(repeat.similarReports[0].clusterId, clusterId);
+    assert.equal(saved.clusterId, clusterId);
+    assert.deepEqual(saved.minhash.signature, computeSignature(REWORDED, 'en'));
+
+    UserReport.find.mock.mockImplementation(() => fakeQuery([]));
+    await check(UNRELATED);
+    const fresh = UserReport.create.mock.calls[1].arguments[0];
+    assert.equal(fresh.clusterId, fresh._id);
+});
+
+test('clusters come with a timeline that fills in quiet periods', async (t) => {
+    const clusterId = new mongoose.Types.ObjectId();
+    const today = new Date().toISOString().slice(0, 10);
+    t.mock.method(UserReport, 'aggregate', async (pipeline) => (pipeline[0].$match.clusterId.$in
+        ? [{ _id: { clusterId, period: today }, count: 3 }]
+        : [{
+            _id: clusterId,
+            count: 3,
+            firstSeen: new Date(),
+            lastSeen: new Date(),
+            latestReportId: 'latest',
+            latestContent: RUMOR,
+            latestReliability: 'unreliable',
+            averageCredibilityScore: 21.6,
+            reliabilities: ['unreliable', 'unreliable', 'somewhat unreliable']
+        }]));
+
+    const { statusCode, body } = await call(getClusters, { days: '3' });
+    const [cluster] = body.clusters;
+
+    assert.equal(statusCode, 200);
+    assert.equal(UserReport.aggregate.mock.calls[0].arguments[0].find(stage => stage.$match && stage.$match.count).$match.count.$gte, 2);
+    assert.equal(cluster.averageCredibilityScore, 22);
+    assert.deepEqual(cluster.reliabilities, { 'unreliable': 2, 'somewhat unreliable': 1 });
+    assert.equal(cluster.timeline.length, 4);
+    assert.deepEqual(cluster.timeline[cluster.timeline.length - 1], { period: today, count: 3 });
+    assert.ok(cluster.timeline.slice(0, -1).every(({ count }) => count === 0));
+});
+
+test('cluster queries outside the allowed windows are rejected', async (t) => {
+    t.mock.method(UserReport, 'aggregate', async () => []);
+
+    for (const query of [{ days: '91' }, { days: '0' }, { days: '10', interval: 'hour' }, { interval: 'week' }, { minSize: 'x' }]) {
+        assert.equal((await call(getClusters, query)).statusCode, 400, JSON.stringify(query));
+    }
+    assert.equal(UserReport.aggregate.mock.callCount(), 0);
+
+    const hourly = await call(getClusters, { days: '7', interval: 'hour', limit: '500' });
+    assert.equal(hourly.statusCode, 200);
+    assert.equal(UserReport.aggregate.mock.calls[0].arguments[0].find(stage => stage.$limit).$limit, 100);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const { SOURCE_TYPES, collectArticles } = require('../utils/newsSources');
+const { classifyRating } = require('../utils/newsSources/factCheckSource');
+const { buildSearchQuery } = require('../utils/textRanking');
+const createNewsApiProvider = require('../utils/providers/newsApiProvider');
+
+// Responses recorded from each news source's API for a story about a council budget vote
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures/newsSources', name), 'utf8');
+}
+
+function recordedResponses() {
+    return {
+        factcheck: { status: 'ok', data: JSON.parse(fixture('factcheck.json')) },
+        newsapi: { status: 'ok', data: JSON.parse(fixture('newsapi.json')) },
+        gdelt: { status: 'ok', data: JSON.parse(fixture('gdelt.json')) },
+        rss: {
+            status: 'ok',
+            data: {
+                feeds: [
+                    { url: 'https://metrodaily.example/rss', xml: fixture('rss.xml') },
+                    { url: 'https://civicwire.example/atom', xml: fixture('atom.xml') }
+                ]
+            }
+        }
+    };
+}
+
+test('newsapi adapter parses recorded articles', () => {
+    const articles = SOURCE_TYPES.newsapi({}).parse(JSON.parse(fixture('newsapi.json')));
+
+    assert.equal(articles.length, 3);
+    assert.deepEqual(articles[0], {
+        title: 'City council approves 4% budget increase for schools and roads',
+        description: 'The city council approved a 4% budget increase on Sunday, with most of the money going to schools and road repairs.',
+        source: 'Reuters',
+        url: 'https://www.reuters.com/world/city-council-approves-budget-increase-2024-03-03/',
+        publishedAt: '2024-03-03T14:05:00Z'
+    });
+    assert.deepEqual(SOURCE_TYPES.newsapi({}).parse({ status: 'error', code: 'rateLimited' }), []);
+});
+
+test('factcheck adapter yields one match per review with its rating', () => {
+    const reviews = SOURCE_TYPES.factcheck({}).parse(JSON.parse(fixture('factcheck.json')));
+
+    assert.equal(reviews.length, 3);
+    assert.deepEqual(reviews[0].factCheck, {
+        claim: 'The city council cut the school budget by 4%',
+        claimant: 'Social media posts',
+        rating: 'False',
+        verdict: 'false'
+    });
+    // Untitled reviews fall back to the claim, unnamed publishers to their site
+    assert.equal(reviews[1].title, 'The city council cut the school budget by 4%');
+    assert.equal(reviews[1].source, 'hindifacts.example');
+    assert.equal(reviews[1].factCheck.verdict, 'misleading');
+    assert.deepEqual(SOURCE_TYPES.factcheck({}).parse({}), []);
+});
+
+// Ratings as published in ClaimReview markup by fact-checkers the API returns
+const RATINGS = [
+    ['False', 'false'],
+    ['Mostly False', 'false'],
+    ['Pants on Fire!', 'false'],
+    ['Untrue', 'false'],
+    ['Inaccurate', 'false'],
+    ['Incorrect', 'false'],
+    ['Not correct', 'false'],
+    ['Not accurate', 'false'],
+    ['Not true', 'false'],
+    ['Fake', 'false'],
+    ['Altered photo', 'false'],
+    ['झूठ', 'false'],
+    ['सच नहीं', 'false'],
+    ['असत्य', 'false'],
+    ['Half True', 'misleading'],
+    ['Partly false', 'misleading'],
+    ['Missing context', 'misleading'],
+    ['Misleading', 'misleading'],
+    ['Exaggerated', 'misleading'],
+    ['Unproven', 'misleading'],
+    ['भ्रामक', 'misleading'],
+    ['Unverified', 'unrated'],
+    ['No evidence', 'unrated'],
+    ['Satire', 'unrated'],
+    ['', 'unrated'],
+    [undefined, 'unrated'],
+    ['True', 'true'],
+    ['Mostly True', 'true'],
+    ['Correct', 'true'],
+    ['Correct attribution', 'true'],
+    ['Accurate', 'true'],
+    ['सही', 'true']
+];
+
+test('classifyRating maps free-form ratings onto verdicts', () => {
+    RATINGS.forEach(([rating, verdict]) => assert.equal(classifyRating(rating), verdict, rating));
+});
+
+test('gdelt adapter parses seen dates and rejects plain-text errors', async (t) => {
+    const articles = SOURCE_TYPES.gdelt({}).parse(JSON.parse(fixture('gdelt.json')));
+    assert.equal(articles[0].publishedAt, '2024-03-03T15:00:00.000Z');
+    assert.equal(articles[0].source, 'citynews.example');
+    assert.equal(articles[1].publishedAt, null);
+
+    t.mock.method(axios, 'get', async () => ({ data: 'Your search contained a keyword that was too short.\n' }));
+    await assert.rejects(
+        SOURCE_TYPES.gdelt({}).fetch({ terms: ['council', 'budget'], language: 'en' }),
+        /GDELT query failed: Your search contained a keyword that was too short\./
+    );
+    assert.equal(axios.get.mock.calls[0].arguments[1].params.query, '(council OR budget) sourcelang:english');
+});
+
+test('rss adapter reads RSS and Atom feeds, skipping feeds that fail', async (t) => {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/rss.xml') {
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+            return res.end(fixture('rss.xml'));
+        }
+        if (req.url === '/atom.xml') {
+            res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+            return res.end(fixture('atom.xml'));
+        }
+        res.writeHead(500);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    t.mock.method(console, 'error', () => {});
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const source = SOURCE_TYPES.rss({ feeds: [`${base}/rss.xml`, `${base}/atom.xml`, `${base}/broken.xml`], timeout: 5000 });
+    const articles = source.parse(await source.fetch({}));
+
+    assert.deepEqual(articles.map(article => article.source), ['Metro Daily - Local', 'Metro Daily - Local', 'Civic Wire']);
+    assert.equal(articles[0].description, 'Residents packed city hall ahead of the vote.');
+    assert.equal(articles[0].publishedAt, '2024-03-03T12:00:00.000Z');
+    assert.equal(articles[1].publishedAt, null);
+    assert.equal(articles[2].url, 'https://civicwire.example/hoax-budget-cut');
+
+    const failing = SOURCE_TYPES.rss({ feeds: [`${base}/broken.xml`], timeout: 5000 });
+    await assert.rejects(failing.fetch({}), /All RSS feeds failed/);
+});
+
+test('collectArticles merges sources and keeps one copy of each story, preferring fact-checks', () => {
+    const articles = collectArticles(recordedResponses());
+    const urls = articles.map(article => article.url);
+
+    // The newsapi copy of the fact-checked story and the gdelt copy of the Reuters one are dropped,
+    // as is the removed article without a URL
+    assert.equal(articles.length, 8);
+    assert.equal(urls.filter(url => url.includes('metrodaily.example/news/council-budget')).length, 1);
+    assert.equal(articles.find(article => article.url.includes('council-budget/')).sourceType, 'factcheck');
+    assert.equal(urls.filter(url => url.includes('reuters.com')).length, 1);
+    assert.equal(articles.find(article => article.url.includes('reuters.com')).sourceType, 'newsapi');
+    assert.equal(articles.some(article => article.title === '[Removed]'), false);
+
+    // Failed sources are left out
+    const withFailure = { ...recordedResponses(), gdelt: { status: 'failed', reason: 'timeout' } };
+    assert.equal(collectArticles(withFailure).some(article => article.sourceType === 'gdelt'), false);
+});
+
+test('the news analyzer scores a recorded search, with a matching fact-check deciding the verdict', () => {
+    const content = 'The city council approved a 4% budget increase for schools and roads on 3 March 2024.';
+    const recorded = { ...buildSearchQuery(content, 'en'), language: 'en', responses: recordedResponses() };
+    const { scores, details } = createNewsApiProvider({ sources: [] }).score(recorded);
+
+    assert.equal(details.verdict, 'REAL');
+    assert.equal(details.decidingFactCheck.publisher, 'Verify Team');
+    assert.equal(details.decidingFactCheck.verdict, 'true');
+    assert.deepEqual(details.sources, { factcheck: 'ok', newsapi: 'ok', gdelt: 'ok', rss: 'ok' });
+    assert.equal(scores.credibilityScore, details.confidence);
+    assert.ok(details.matchedArticles.length <= 5);
+    assert.ok(details.matchedArticles.every((article, i, all) => i === 0 || all[i - 1].similarity >= article.similarity));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReportFilter } = require('../utils/reportFilter');
+
+test('report filters are built from plain query values', () => {
+    const { filter } = buildReportFilter({
+        reliability: 'reliable',
+        language: 'hi',
+        minScore: '40',
+        maxScore: '80',
+        from: '2024-03-01',
+        to: '2024-03-31'
+    });
+
+    assert.deepEqual(filter, {
+        reliability: 'reliable',
+        'language.code': 'hi',
+        'combinedMetrics.credibilityScore': { $gte: 40, $lte: 80 },
+        timestamp: { $gte: new Date('2024-03-01'), $lte: new Date('2024-03-31') }
+    });
+    assert.deepEqual(buildReportFilter({ reliability: '', language: '' }).filter, {});
+});
+
+test('operators and values outside the allowed sets are rejected', () => {
+    // What ?reliability[$ne]=x and ?language=en&language=hi parse to
+    assert.match(buildReportFilter({ reliability: { $ne: 'x' } }).error, /reliability must be one of/);
+    assert.match(buildReportFilter({ reliability: 'trustworthy' }).error, /reliability must be one of/);
+    assert.match(buildReportFilter({ language: ['en', 'hi'] }).error, /language must be one of: en, hi/);
+    assert.match(buildReportFilter({ language: { $regex: '.*' } }).error, /language must be one of/);
+    assert.match(buildReportFilter({ minScore: { $gt: '' } }).error, /minScore must be a number/);
+    assert.match(buildReportFilter({ maxScore: 'high' }).error, /maxScore must be a number/);
+    assert.match(buildReportFilter({ from: ['2024-03-01'] }).error, /from must be a valid date/);
+    assert.match(buildReportFilter({ to: 'yesterday' }).error, /to must be a valid date/);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PassThrough } = require('stream');
+const express = require('express');
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const factCheckCard = require('../utils/factCheckCard');
+
+// The controller picks up the renderer when it's loaded, so swap it in first
+let renderCard;
+test.mock.method(factCheckCard, 'renderFactCheckCard', (...args) => renderCard(...args));
+const reportRoute = require('../routes/reportRoute');
+
+const REPORT_ID = '65e4a1f2c3b4d5e6f7a8b9c0';
+
+function fakeQuery(result) {
+    const query = new Proxy({}, {
+        get: (target, property) => (property === 'then'
+            ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+            : () => query)
+    });
+    return query;
+}
+
+async function startServer(t, setup = () => {}) {
+    const app = express();
+    setup(app);
+    app.use('/api/reports', reportRoute);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}/api/reports`;
+}
+
+function get(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() }));
+            res.on('aborted', () => reject(new Error('aborted')));
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+test('report export needs the admin token', async (t) => {
+    const previous = process.env.ADMIN_API_TOKEN;
+    process.env.ADMIN_API_TOKEN = 'admin-secret';
+    t.after(() => {
+        if (previous === undefined) delete process.env.ADMIN_API_TOKEN;
+        else process.env.ADMIN_API_TOKEN = previous;
+    });
+    const query = {
+        select: () => query,
+        sort: () => query,
+        lean: () => query,
+        cursor: () => Object.assign((async function* () {})(), { close: async () => {} })
+    };
+    t.mock.method(UserReport, 'find', () => query);
+    const base = await startServer(t);
+
+    assert.equal((await get(`${base}/export`)).status, 401);
+    assert.equal((await get(`${base}/export`, { Authorization: 'Bearer wrong' })).status, 401);
+    const exported = await get(`${base}/export?format=jsonl`, { Authorization: 'Bearer admin-secret' });
+    assert.equal(exported.status, 200);
+    assert.equal(exported.body, '');
+});
+
+test('a card that fails before any output gets a 500, and one that fails midway is cut off', async (t) => {
+    t.mock.method(UserReport, 'findById', () => fakeQuery({ _id: REPORT_ID, content: 'x', reliability: 'reliable' }));
+    t.mock.method(console, 'error', () => {});
+    const base = await startServer(t);
+
+    renderCard = () => {
+        const stream = new PassThrough();
+        setImmediate(() => stream.destroy(new Error('font missing')));
+        return stream;
+    };
+    const failed = await get(`${base}/${REPORT_ID}/card.pdf`);
+    assert.equal(failed.status, 500);
+    assert.equal(JSON.parse(failed.body).details, 'font missing');
+
+    renderCard = () => {
+        const stream = new PassThrough();
+        stream.write('%PDF-1.3\n');
+        setTimeout(() => stream.destroy(new Error('render failed')), 20);
+        return stream;
+    };
+    await assert.rejects(get(`${base}/${REPORT_ID}/card.pdf`));
+});
+
+function post(url, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+test('feedback comments must be short text, and only the newest entries are kept', async (t) => {
+    t.mock.method(UserReport, 'findByIdAndUpdate', () => fakeQuery({
+        _id: REPORT_ID,
+        reliability: 'reliable',
+        feedbackStats: { total: 1, agree: 1, disagree: 0 }
+    }));
+    const base = await startServer(t, (app) => app.use(express.json()));
+    const url = `${base}/${REPORT_ID}/feedback`;
+
+    assert.equal((await post(url, { isCorrect: true, comment: { $gt: '' } })).status, 400);
+    assert.equal((await post(url, { isCorrect: true, comment: 'x'.repeat(2001) })).status, 400);
+    assert.equal((await post(url, { isCorrect: true, evidenceUrls: [`https://example.com/${'a'.repeat(2048)}`] })).status, 400);
+    assert.equal(UserReport.findByIdAndUpdate.mock.callCount(), 0);
+
+    const saved = await post(url, { isCorrect: true, comment: 'Matches the council minutes.' });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.feedbackStats.agreementRate, 100);
+
+    const [, update, options] = UserReport.findByIdAndUpdate.mock.calls[0].arguments;
+    assert.equal(update.$push.feedback.$each[0].comment, 'Matches the council minutes.');
+    assert.equal(update.$push.feedback.$slice, -200);
+    assert.equal(options.runValidators, true);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requireApiKey = require('../middleware/requireApiKey');
+
+// Runs the middleware and reports whether it called next() or answered itself
+async function run(headers = {}, { query = {}, ip = '192.0.2.1', cost } = {}) {
+    const req = { query, ip, get: (name) => headers[name] };
+    const res = {
+        headers: {},
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+
+    let nextCalled = false;
+    await requireApiKey({ cost })(req, res, () => {
+        nextCalled = true;
+    });
+    return { nextCalled, res, req };
+}
+
+test('keys are optional unless API_KEYS_REQUIRED=true', async () => {
+    delete process.env.API_KEYS_REQUIRED;
+    const { nextCalled, req } = await run();
+    assert.equal(nextCalled, true);
+    assert.equal(req.apiKey, undefined);
+});
+
+test('a key sent without a database to check it against is ignored when keys are optional', async () => {
+    delete process.env.API_KEYS_REQUIRED;
+    const { nextCalled } = await run({ Authorization: 'Bearer tg_example' }, { ip: '192.0.2.2' });
+    assert.equal(nextCalled, true);
+});
+
+test('required keys turn away requests without one, or when they cannot be checked', async (t) => {
+    process.env.API_KEYS_REQUIRED = 'true';
+    t.after(() => delete process.env.API_KEYS_REQUIRED);
+
+    const missing = await run();
+    assert.equal(missing.nextCalled, false);
+    assert.equal(missing.res.statusCode, 401);
+
+    const unchecked = await run({ Authorization: 'Bearer tg_example' });
+    assert.equal(unchecked.nextCalled, false);
+    assert.equal(unchecked.res.statusCode, 503);
+});
+
+test('anonymous requests share a per-IP allowance, counted by cost', async () => {
+    delete process.env.API_KEYS_REQUIRED;
+    const ip = '198.51.100.7';
+
+    for (let i = 0; i < 8; i++) {
+        assert.equal((await run({}, { ip })).nextCalled, true);
+    }
+    // Three more don't fit in the last two of the ten
+    const batch = await run({}, { ip, cost: 3 });
+    assert.equal(batch.nextCalled, false);
+    assert.equal(batch.res.statusCode, 429);
+    assert.ok(Number(batch.res.headers['Retry-After']) > 0);
+
+    assert.equal((await run({}, { ip, cost: 2 })).nextCalled, true);
+    assert.equal((await run({}, { ip })).res.statusCode, 429);
+    // Free requests such as polling a job aren't counted
+    assert.equal((await run({}, { ip, cost: 0 })).nextCalled, true);
+
+    assert.equal((await run({}, { ip: '198.51.100.8' })).nextCalled, true);
+    assert.equal((await run({}, { ip: '198.51.100.9', cost: 11 })).res.statusCode, 429);
+});
+
+test('a repeated api_key query parameter is turned away', async () => {
+    delete process.env.API_KEYS_REQUIRED;
+    const { nextCalled, res } = await run({}, { query: { api_key: ['tg_a', 'tg_b'] } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SourceReputation = require('../models/sourceReputation');
+const { normalizeSourceKey } = require('../models/sourceReputation');
+const { matchSourceReputations, scoreSourceReputation } = require('../utils/sourceReputation');
+const { runCheck } = require('../utils/checkPipeline');
+const { getHeuristicProviders } = require('../utils/providers');
+const { resolveLanguage } = require('../utils/languages');
+
+const REUTERS = { _id: 'reuters-id', name: 'Reuters', keys: ['reuters', 'reuters.com'], rating: 'reliable', bias: 'center' };
+const DAILY_BUZZ = { _id: 'buzz-id', name: 'Daily Buzz', keys: ['daily buzz', 'dailybuzz.example'], rating: 'questionable', bias: 'right' };
+
+function fakeQuery(result) {
+    const query = new Proxy({}, {
+        get: (target, property) => (property === 'then'
+            ? (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+            : () => query)
+    });
+    return query;
+}
+
+function connected(t) {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+}
+
+test('outlet names and URLs reduce to the same match key', () => {
+    assert.equal(normalizeSourceKey('https://www.Reuters.com/world/some-story'), 'reuters.com');
+    assert.equal(normalizeSourceKey('The Hindu.'), 'hindu');
+    assert.equal(normalizeSourceKey('  BBC News, '), 'bbc news');
+    assert.equal(normalizeSourceKey(undefined), '');
+});
+
+test('saved sources are matched by their name, domain and aliases', async () => {
+    const source = new SourceReputation({
+        name: 'The Times of India',
+        domain: 'TimesOfIndia.IndiaTimes.com',
+        aliases: ['TOI', 'times of india'],
+        rating: 'reliable'
+    });
+    await source.validate();
+
+    assert.deepEqual(source.keys, ['times of india', 'timesofindia.indiatimes.com', 'toi']);
+});
+
+test('stored reputations are attached to the sources found in the content', async (t) => {
+    connected(t);
+    t.mock.method(SourceReputation, 'find', () => fakeQuery([REUTERS, DAILY_BUZZ]));
+
+    const sources = await matchSourceReputations([
+        { name: 'Reuters', type: 'Major News Agency', confidence: 'High' },
+        { name: 'the Daily Buzz', type: 'News Website', confidence: 'Medium' },
+        { name: 'A local blog', type: 'Cited Source', confidence: 'Low' }
+    ]);
+
+    assert.deepEqual(SourceReputation.find.mock.calls[0].arguments[0], { keys: { $in: ['reuters', 'daily buzz', 'a local blog'] } });
+    assert.deepEqual(sources[0].reputation, { id: 'reuters-id', name: 'Reuters', rating: 'reliable', bias: 'center', notes: undefined });
+    assert.equal(sources[1].reputation.rating, 'questionable');
+    assert.equal('reputation' in sources[2], false);
+});
+
+test('sources pass through unmatched when the store is unavailable', async (t) => {
+    const sources = [{ name: 'Reuters', confidence: 'High' }];
+    t.mock.method(SourceReputation, 'find', () => fakeQuery([REUTERS]));
+
+    // No database connection: not even queried
+    assert.equal(await matchSourceReputations(sources), sources);
+    assert.equal(SourceReputation.find.mock.callCount(), 0);
+
+    connected(t);
+    SourceReputation.find.mock.mockImplementation(() => fakeQuery(Promise.reject(new Error('connection reset'))));
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await matchSourceReputations(sources), sources);
+});
+
+test('reputations are weighted by how confidently each source was identified', () => {
+    const reputation = (rating) => ({ reputation: { rating } });
+
+    assert.deepEqual(scoreSourceReputation([{ name: 'Unknown outlet' }]), { score: null, adjustment: 0, matchedSources: 0 });
+    assert.deepEqual(scoreSourceReputation([{ confidence: 'High', ...reputation('reliable') }]), { score: 100, adjustment: 20, matchedSources: 1 });
+    // (100 * 1 - 50 * 0.6) / 2
+    assert.deepEqual(scoreSourceReputation([
+        { confidence: 'High', ...reputation('reliable') },
+        { confidence: 'Medium', ...reputation('questionable') }
+    ]), { score: 35, adjustment: 7, matchedSources: 2 });
+    assert.deepEqual(scoreSourceReputation([{ confidence: 'Low', ...reputation('questionable') }]), { score: -15, adjustment: -3, matchedSources: 1 });
+});
+
+test('a reputable cited source raises the credibility score of a check', async (t) => {
+    const content = 'According to Reuters, the city council approved a 12% budget increase on 3 March 2024.';
+    const input = { content, mode: 'heuristic', providers: getHeuristicProviders(), language: resolveLanguage(content) };
+
+    const unmatched = await runCheck(input);
+    assert.equal(unmatched.explanation.sourceReputation.adjustment, 0);
+
+    connected(t);
+    Object.values(mongoose.models).forEach(model => t.mock.method(model, 'find', () => fakeQuery([])));
+    SourceReputation.find.mock.mockImplementation(() => fakeQuery([REUTERS]));
+
+    const matched = await runCheck(input);
+    const { adjustment } = matched.explanation.sourceReputation;
+    assert.ok(adjustment > 0);
+    assert.equal(
+        matched.combinedMetrics.credibilityScore,
+        Math.min(100, unmatched.combinedMetrics.credibilityScore + adjustment)
+    );
+    assert.equal(matched.sourceAnalysis.sources.find(source => source.reputation).reputation.name, 'Reuters');
+});
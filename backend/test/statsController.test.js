@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UserReport = require('../models/userReport');
+const { getTimeseries, getSources } = require('../controllers/statsController');
+
+function call(handler, query) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    return handler({ query }, res).then(() => res);
+}
+
+test('timeseries ranges longer than the interval allows are rejected before querying', async (t) => {
+    t.mock.method(UserReport, 'aggregate', async () => []);
+
+    const daily = await call(getTimeseries, { from: '1900-01-01', to: '2100-01-01' });
+    assert.equal(daily.statusCode, 400);
+    assert.match(daily.body.error, /interval=day covers at most 366 days/);
+
+    const weekly = await call(getTimeseries, { from: '2020-01-01', to: '2030-01-01', interval: 'week' });
+    assert.equal(weekly.statusCode, 400);
+    assert.equal(UserReport.aggregate.mock.callCount(), 0);
+
+    const year = await call(getTimeseries, { from: '2024-01-01', to: '2024-12-31' });
+    assert.equal(year.statusCode, 200);
+    assert.equal(year.body.series.length, 366);
+});
+
+test('an open-ended timeseries is capped once the first report is known', async (t) => {
+    t.mock.method(UserReport, 'aggregate', async () => [
+        { _id: { period: '2001-05-01', reliability: 'reliable' }, count: 1, scoreSum: 70, scored: 1 }
+    ]);
+
+    const res = await call(getTimeseries, { to: '2024-03-10' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /set from to narrow it/);
+});
+
+test('timeseries periods are zero-filled and combine every reliability group', async (t) => {
+    t.mock.method(UserReport, 'aggregate', async () => [
+        { _id: { period: '2024-03-02', reliability: 'reliable' }, count: 2, scoreSum: 150, scored: 2 },
+        { _id: { period: '2024-03-02', reliability: 'unreliable' }, count: 1, scoreSum: 20, scored: 1 },
+        { _id: { period: '2024-03-04', reliability: 'somewhat unreliable' }, count: 1, scoreSum: 35, scored: 1 }
+    ]);
+
+    const res = await call(getTimeseries, { from: '2024-03-01', to: '2024-03-04T23:00:00Z' });
+    const series = res.body.series;
+
+    assert.deepEqual(series.map(({ period, count }) => [period, count]), [
+        ['2024-03-01', 0], ['2024-03-02', 3], ['2024-03-03', 0], ['2024-03-04', 1]
+    ]);
+    assert.equal(series[1].averageCredibilityScore, 56.7);
+    assert.equal(series[1].lowCredibility, 1);
+    assert.equal(series[1].byReliability.reliable, 2);
+    assert.equal(series[0].averageCredibilityScore, null);
+});
+
+test('source stats take only a plain source type', async (t) => {
+    t.mock.method(UserReport, 'aggregate', async () => []);
+
+    const rejected = await call(getSources, { type: { $ne: 'Social Media' } });
+    assert.equal(rejected.statusCode, 400);
+    assert.equal(UserReport.aggregate.mock.callCount(), 0);
+
+    const accepted = await call(getSources, { type: 'Social Media' });
+    assert.equal(accepted.statusCode, 200);
+    assert.deepEqual(UserReport.aggregate.mock.calls[0].arguments[0][2], { $match: { 'sourceAnalysis.sources.type': 'Social Media' } });
+});
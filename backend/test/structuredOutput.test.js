@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    StructuredOutputError, parseJsonReply, validateStructuredOutput, describeSchema
+} = require('../utils/structuredOutput');
+
+const SCHEMA = {
+    credibilityScore: { type: 'score', required: true, aliases: ['credibility'], description: 'overall credibility' },
+    truthScore: { type: 'score', required: true, aliases: ['accuracy'], description: 'factual accuracy' },
+    verdict: { type: 'enum', values: ['credible', 'false'], default: null, aliases: ['label'], description: 'verdict' },
+    reasoning: { type: 'string', default: null, description: 'why' },
+    redFlags: { type: 'list', default: [], aliases: ['concerns'], description: 'problems' }
+};
+
+test('replies that parse as they are come back unchanged', () => {
+    assert.deepEqual(parseJsonReply('{"credibilityScore": 80}'), { credibilityScore: 80 });
+    const object = { credibilityScore: 80 };
+    assert.equal(parseJsonReply(object), object);
+});
+
+test('fenced, wrapped, curly-quoted and trailing-comma replies are repaired', () => {
+    const expected = { credibilityScore: 80, redFlags: ['a'] };
+
+    assert.deepEqual(parseJsonReply('```json\n{"credibilityScore": 80, "redFlags": ["a"]}\n```'), expected);
+    assert.deepEqual(parseJsonReply('```\n{"credibilityScore": 80, "redFlags": ["a"]}\n```'), expected);
+    assert.deepEqual(parseJsonReply('Here is my assessment:\n{"credibilityScore": 80, "redFlags": ["a"]}\nHope it helps.'), expected);
+    assert.deepEqual(parseJsonReply('{“credibilityScore”: 80, “redFlags”: [“a”]}'), expected);
+    assert.deepEqual(parseJsonReply('{"credibilityScore": 80, "redFlags": ["a",],}'), expected);
+    assert.deepEqual(parseJsonReply('```json\nSure! {"credibilityScore": 80, "redFlags": ["a",],}\n```'), expected);
+});
+
+test('replies that no repair fixes are rejected', () => {
+    assert.throws(() => parseJsonReply(''), { name: 'StructuredOutputError', message: 'Reply is empty' });
+    assert.throws(() => parseJsonReply(null), StructuredOutputError);
+    assert.throws(() => parseJsonReply('[1, 2, 3]'), /Reply must be a JSON object/);
+    assert.throws(() => parseJsonReply('I cannot assess this content.'), (error) => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.match(error.message, /^Reply is not valid JSON: /);
+        assert.equal(error.errors.length, 1);
+        return true;
+    });
+    assert.throws(() => parseJsonReply('{"credibilityScore": 80, reasoning: unquoted}'), /Reply is not valid JSON/);
+});
+
+test('fields are read under their names, aliases and other spellings', () => {
+    const { value, warnings } = validateStructuredOutput({
+        credibility_score: 72,
+        scores: { accuracy: 64 },
+        Label: 'FALSE ',
+        reasoning: '  Sources are unnamed.  ',
+        concerns: 'no named sources'
+    }, SCHEMA);
+
+    assert.deepEqual(value, {
+        credibilityScore: 72,
+        truthScore: 64,
+        verdict: 'false',
+        reasoning: 'Sources are unnamed.',
+        redFlags: ['no named sources']
+    });
+    assert.deepEqual(warnings, [
+        'credibilityScore read from "credibility_score"',
+        'truthScore read from "accuracy"',
+        'verdict read from "Label"',
+        'redFlags read from "concerns"'
+    ]);
+});
+
+test('optional fields fall back to their defaults and lists are flattened', () => {
+    const { value } = validateStructuredOutput({
+        credibilityScore: 50,
+        truthScore: 50,
+        reasoning: '',
+        redFlags: [{ type: 'framing', detail: 'one-sided' }, ' loaded words ', 7]
+    }, SCHEMA);
+
+    assert.deepEqual(value, {
+        credibilityScore: 50,
+        truthScore: 50,
+        verdict: null,
+        reasoning: null,
+        redFlags: ['framing: one-sided', 'loaded words', '7']
+    });
+});
+
+test('scores given out of ten, as percentages or as fractions are rescaled to 0..100', () => {
+    assert.deepEqual(validateStructuredOutput({ credibilityScore: '8/10', truthScore: '65%' }, SCHEMA), {
+        value: { credibilityScore: 80, truthScore: 65, verdict: null, reasoning: null, redFlags: [] },
+        warnings: ['credibilityScore rescaled from 8/10']
+    });
+
+    // Only when every score is a fraction are they read as 0..1
+    const fractions = validateStructuredOutput({ credibilityScore: 0.85, truthScore: '0.4' }, SCHEMA);
+    assert.equal(fractions.value.credibilityScore, 85);
+    assert.equal(fractions.value.truthScore, 40);
+
+    const mixed = validateStructuredOutput({ credibilityScore: 1, truthScore: 60 }, SCHEMA);
+    assert.equal(mixed.value.credibilityScore, 1);
+    assert.equal(mixed.value.truthScore, 60);
+    assert.deepEqual(mixed.warnings, []);
+});
+
+test('every schema problem is reported at once', () => {
+    assert.throws(() => validateStructuredOutput({
+        truthScore: 140,
+        verdict: 'probably fine',
+        reasoning: 42
+    }, SCHEMA), (error) => {
+        assert.ok(error instanceof StructuredOutputError);
+        assert.deepEqual(error.errors, [
+            'credibilityScore is missing',
+            'verdict must be one of: credible, false',
+            'reasoning must be a non-empty string',
+            'truthScore must be between 0 and 100, got 140'
+        ]);
+        return true;
+    });
+
+    assert.throws(() => validateStructuredOutput({ credibilityScore: 'high', truthScore: '12/5' }, SCHEMA), (error) => {
+        assert.deepEqual(error.errors, [
+            'credibilityScore must be a number from 0 to 100',
+            'truthScore must be between 0 and 100, got 12/5'
+        ]);
+        return true;
+    });
+    assert.throws(() => validateStructuredOutput(['not', 'an', 'object'], SCHEMA), /Output must be a JSON object/);
+});
+
+test('the schema is described for the prompt one field per line', () => {
+    assert.equal(describeSchema(SCHEMA), [
+        '- "credibilityScore" (integer from 0 to 100): overall credibility',
+        '- "truthScore" (integer from 0 to 100): factual accuracy',
+        '- "verdict" (one of "credible", "false"): verdict',
+        '- "reasoning" (string): why',
+        '- "redFlags" (array of strings): problems'
+    ].join('\n'));
+});
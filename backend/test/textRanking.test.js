@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, extractEntities, extractKeywords, buildSearchQuery, rankBySimilarity } = require('../utils/textRanking');
+const createNewsApiProvider = require('../utils/providers/newsApiProvider');
+const { VERDICTS } = require('../utils/providers/newsApiProvider');
+
+const CONTENT = 'The Reserve Bank of India raised the repo rate to 6.5% on Wednesday. ' +
+    'The repo rate rise is the sixth since May. Economists expect the repo rate to stay high, ' +
+    'and some borrowers in Mumbai said loans were already costly.';
+
+// A NewsAPI response holding articles with these titles and descriptions
+function newsApiResponse(articles) {
+    return {
+        status: 'ok',
+        data: {
+            status: 'ok',
+            articles: articles.map(([title, description], i) => ({
+                source: { name: `Outlet ${i}` },
+                title,
+                description,
+                url: `https://outlet${i}.example/story`,
+                publishedAt: '2024-02-08T10:00:00Z'
+            }))
+        }
+    };
+}
+
+function scoreCoverage(content, articles) {
+    const raw = { ...buildSearchQuery(content, 'en'), language: 'en', responses: { newsapi: newsApiResponse(articles) } };
+    return createNewsApiProvider({ sources: [] }).score(raw);
+}
+
+test('tokens drop stopwords, bare numbers and single letters', () => {
+    assert.deepEqual(tokenize('The 3 main reasons a council gave in 2024', 'en'), ['main', 'reasons', 'council', 'gave']);
+    assert.deepEqual(tokenize('सरकार ने 2024 में योजना शुरू की', 'hi'), ['सरकार', 'योजना', 'शुरू']);
+});
+
+test('terms the text keeps returning to outrank ones mentioned in passing', () => {
+    const ranked = extractKeywords(CONTENT, 'en').map(({ term }) => term);
+
+    assert.ok(ranked.indexOf('repo') < ranked.indexOf('raised'));
+    // Capitalized mid-sentence, so boosted over other one-off words
+    assert.ok(ranked.indexOf('mumbai') < ranked.indexOf('borrowers'));
+    assert.ok(ranked.indexOf('reserve') < ranked.indexOf('raised'));
+    assert.deepEqual(extractEntities('In Uttar Pradesh, the Reserve Bank met. The Reserve Bank said so.', 'en'), ['Reserve Bank', 'Uttar Pradesh']);
+});
+
+test('the search query ORs the main entities with the top keywords', () => {
+    const search = buildSearchQuery(CONTENT, 'en');
+
+    assert.deepEqual(search.entities, ['Reserve Bank']);
+    assert.equal(search.keywords.includes('reserve'), false);
+    assert.equal(search.query, ['"Reserve Bank"', ...search.keywords].join(' OR '));
+    assert.equal(search.keywords.length, 5);
+    assert.ok(['repo', 'rate'].every(term => search.keywords.includes(term)));
+
+    // Terms are dropped from the end until the query fits
+    const longWords = 'abcdefgh'.split('').map(letter => letter.repeat(120));
+    const long = buildSearchQuery(`${longWords.join(' ')}.`, 'en');
+    assert.equal(long.terms.length, 4);
+    assert.ok(long.query.length <= 500);
+    assert.deepEqual(buildSearchQuery('!!! 123', 'en').query, '');
+});
+
+test('documents about the same story rank above related and unrelated ones', () => {
+    const terms = buildSearchQuery(CONTENT, 'en').scoringTerms;
+    const [same, related, unrelated, empty] = rankBySimilarity(terms, [
+        'Reserve Bank of India raises repo rate to 6.5%, sixth rise since May',
+        'Mumbai home loans get costlier for borrowers',
+        'Cricket: India beat Australia by six wickets',
+        ''
+    ], 'en');
+
+    assert.ok(same > related && related > unrelated);
+    assert.ok(same > 0.3);
+    assert.equal(empty, 0);
+});
+
+test('coverage verdicts follow the best matching article', () => {
+    const sameStory = ['Reserve Bank of India raises repo rate to 6.5%', 'The repo rate rise is the sixth since May, economists expect it to stay high.'];
+
+    const corroborated = scoreCoverage(CONTENT, [sameStory]);
+    assert.equal(corroborated.details.verdict, VERDICTS.corroborated);
+    assert.equal(corroborated.scores.credibilityScore, corroborated.details.confidence);
+
+    const debunking = ['Fact check: viral post on the repo rate rise is fake', 'The Reserve Bank of India repo rate claim is false.'];
+    const disputed = scoreCoverage(CONTENT, [debunking]);
+    assert.equal(disputed.details.verdict, VERDICTS.contradicted);
+    assert.equal(disputed.scores.credibilityScore, 100 - disputed.details.confidence);
+
+    // A closer match than the debunking article outweighs it
+    const mixed = scoreCoverage(CONTENT, [sameStory, debunking]);
+    assert.equal(mixed.details.verdict, VERDICTS.corroborated);
+    assert.deepEqual(mixed.details.matchedArticles.map(article => article.disputes), [false, true]);
+});
+
+test('silence or only unrelated coverage is neutral, not a verdict', () => {
+    for (const articles of [[], [['Cricket: India beat Australia by six wickets', 'A comfortable win in the final.']]]) {
+        const { scores, details } = scoreCoverage(CONTENT, articles);
+
+        assert.equal(details.verdict, VERDICTS.none);
+        assert.equal(details.isVerified, false);
+        assert.deepEqual(scores, { credibilityScore: 50, truthScore: 50, confidence: 0 });
+        assert.deepEqual(details.matchedArticles, []);
+    }
+});
@@ -1,47 +1,98 @@
-const axios = require('axios');
+const { getProviders } = require('./providers');
+const retryWithTimeout = require('./retryWithTimeout');
+
+const COMBINED_METRICS = ['credibilityScore', 'truthScore', 'confidence'];
+
+// Each failed analyzer knocks this share off the combined confidence
+const DEGRADED_CONFIDENCE_PENALTY = 0.2;
+
+function isTimeout(error) {
+    return error.code === 'ERR_CANCELED' ||
+        error.code === 'ECONNABORTED' ||
+        error.code === 'ETIMEDOUT' ||
+        error.name === 'AbortError';
+}
+
+// Run one analyzer, reporting a failure instead of throwing it.
+// Providers may call `progress(stage, data)` to report intermediate results before they finish,
+// and get `context.language` to pick language-specific models and patterns.
+async function runProvider(provider, content, onEvent, context) {
+    const progress = (stage, data) => onEvent(stage, { analyzer: provider.name, ...data });
 
-async function analyzeContent(content) {
     try {
-        // Run both analyses in parallel
-        const [huggingfaceResult, mistralResult] = await Promise.all([
-            axios.post('https://api-inference.huggingface.co/models/fakenews-detector', 
-                { inputs: content },
-                { headers: { Authorization: `Bearer ${process.env.HUGGINGFACE_API_KEY}` } }
-            ),
-            axios.post('https://api.mistral.ai/v1/chat/completions',
-                {
-                    model: "mistral-small",
-                    messages: [
-                        {
-                            role: "system",
-                            content: "Analyze the following content for credibility and factuality."
-                        },
-                        {
-                            role: "user",
-                            content: content
-                        }
-                    ]
-                },
-                { headers: { Authorization: `Bearer ${process.env.MISTRAL_API_KEY}` } }
-            )
-        ]);
+        const result = await retryWithTimeout(
+            (signal) => provider.analyze(content, signal, progress, context),
+            provider.retries,
+            provider.timeout
+        );
 
         return {
-            huggingface: huggingfaceResult.data,
-            mistral: mistralResult.data,
-            combined: combineAnalysis(huggingfaceResult.data, mistralResult.data)
+            status: 'ok',
+            weight: provider.weight,
+            scores: result.scores,
+            details: result.details
         };
     } catch (error) {
-        return { error: "Analysis failed", details: error.message };
+        console.error(`Analyzer ${provider.name} failed:`, error.message);
+        return {
+            status: isTimeout(error) ? 'timed_out' : 'failed',
+            weight: provider.weight,
+            reason: error.message,
+            scores: null,
+            details: null
+        };
     }
 }
 
-function combineAnalysis(hfResult, mistralResult) {
-    // Implement combination logic here
+// Run every registered analyzer in parallel and combine the normalized scores of those that succeeded.
+// `onEvent(name, data)` hears about each analyzer as it finishes.
+async function analyzeContent(content, providers = getProviders(), { onEvent = () => {}, language } = {}) {
+    const entries = await Promise.all(providers.map(async (provider) => {
+        const result = await runProvider(provider, content, onEvent, { language });
+        onEvent('analyzer', { name: provider.name, ...result });
+        return [provider.name, result];
+    }));
+
+    const results = Object.fromEntries(entries);
+    const failedCount = entries.filter(([, result]) => result.status !== 'ok').length;
+    const combined = combineAnalysis(results);
+
+    if (failedCount > 0 && combined.confidence !== null) {
+        combined.confidence = Math.round(
+            combined.confidence * Math.pow(1 - DEGRADED_CONFIDENCE_PENALTY, failedCount)
+        );
+    }
+
     return {
-        credibilityScore: (hfResult.score * 0.6) + (mistralResult.score * 0.4),
-        confidence: Math.round((hfResult.confidence + mistralResult.confidence) / 2)
+        results,
+        combined,
+        degraded: failedCount > 0
     };
 }
 
+// Weighted average of one metric across analyzers, using their registered weights
+function combineScores(results, metric) {
+    let total = 0;
+    let totalWeight = 0;
+
+    Object.values(results).forEach(({ status, weight, scores }) => {
+        const value = scores && scores[metric];
+        if (status !== 'ok' || !weight || typeof value !== 'number' || Number.isNaN(value)) return;
+
+        total += value * weight;
+        totalWeight += weight;
+    });
+
+    return totalWeight > 0 ? Math.round(total / totalWeight) : null;
+}
+
+function combineAnalysis(results) {
+    return COMBINED_METRICS.reduce((combined, metric) => {
+        combined[metric] = combineScores(results, metric);
+        return combined;
+    }, {});
+}
+
 module.exports = analyzeContent;
+module.exports.combineScores = combineScores;
+module.exports.combineAnalysis = combineAnalysis;
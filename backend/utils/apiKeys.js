@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+
+const KEY_PREFIX = 'tg_';
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// New random key plus what gets stored for it
+function generateApiKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6)
+    };
+}
+
+function findActiveApiKey(key) {
+    return ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+}
+
+// Quotas reset at UTC midnight
+function quotaDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilQuotaReset(date = new Date()) {
+    const reset = new Date(date);
+    reset.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((reset - date) / 1000);
+}
+
+// Atomically take `cost` requests from today's quota; returns the updated key, or null if it would go over
+async function consumeDailyQuota(apiKey, cost) {
+    const today = quotaDay();
+
+    await ApiKey.updateOne(
+        { _id: apiKey._id, quotaDate: { $ne: today } },
+        { $set: { quotaDate: today, quotaUsed: 0 } }
+    );
+
+    return ApiKey.findOneAndUpdate(
+        {
+            _id: apiKey._id,
+            quotaDate: today,
+            $expr: { $lte: [{ $add: ['$quotaUsed', cost] }, '$dailyQuota'] }
+        },
+        {
+            $inc: { quotaUsed: cost, totalRequests: cost },
+            $set: { lastUsedAt: new Date() }
+        },
+        { new: true }
+    );
+}
+
+// Fixed one-minute windows per key (or other client id, e.g. an IP), kept in memory
+const rateWindows = new Map();
+
+// Past this many tracked clients, windows from earlier minutes are dropped
+const MAX_RATE_WINDOWS = 10000;
+
+// `cost` is how many of the window's requests this one uses, e.g. one per batch item
+function checkRateLimit(keyId, limit, now = Date.now(), cost = 1) {
+    const windowStart = now - (now % 60000);
+    if (rateWindows.size > MAX_RATE_WINDOWS) {
+        rateWindows.forEach((window, id) => {
+            if (window.start !== windowStart) rateWindows.delete(id);
+        });
+    }
+
+    let window = rateWindows.get(keyId);
+
+    if (!window || window.start !== windowStart) {
+        window = { start: windowStart, count: 0 };
+        rateWindows.set(keyId, window);
+    }
+
+    if (window.count + cost > limit) {
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((windowStart + 60000 - now) / 1000) };
+    }
+
+    window.count += cost;
+    return { allowed: true, remaining: limit - window.count, retryAfter: 0 };
+}
+
+module.exports = {
+    hashApiKey,
+    generateApiKey,
+    findActiveApiKey,
+    quotaDay,
+    secondsUntilQuotaReset,
+    consumeDailyQuota,
+    checkRateLimit
+};
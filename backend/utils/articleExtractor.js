@@ -0,0 +1,296 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const dns = require('dns').promises;
+const dnsLookup = require('dns').lookup;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const FETCH_TIMEOUT = 15000;
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Page chrome that never belongs to the article body
+const BOILERPLATE_SELECTORS = [
+    'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+    '.advertisement', '.ad', '.ads', '.social-share', '.related', '.newsletter', '.comments'
+].join(', ');
+
+class ArticleFetchError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'ArticleFetchError';
+        this.status = status;
+    }
+}
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. IPv6 forms that
+// embed an IPv4 address (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList itself.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+    // Unspecified, loopback and the deprecated IPv4-compatible addresses
+    ['::', 96],
+    // NAT64, which can reach any IPv4 address
+    ['64:ff9b::', 96],
+    ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function allowPrivateHosts() {
+    return process.env.ARTICLE_FETCH_ALLOW_PRIVATE === 'true';
+}
+
+// Only public http(s) pages may be fetched, unless private hosts are explicitly allowed (e.g. local fixtures)
+async function validateArticleUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ArticleFetchError('url must be a valid absolute URL', 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ArticleFetchError('url must use http or https', 400);
+    }
+
+    if (!allowPrivateHosts()) {
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.lookup(hostname, { all: true }).catch(() => {
+                throw new ArticleFetchError(`Could not resolve host ${hostname}`);
+            });
+
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new ArticleFetchError('url must point to a public host', 400);
+        }
+    }
+
+    return parsed;
+}
+
+// dns.lookup for outgoing connections that refuses private addresses. validateArticleUrl resolves the
+// name ahead of time; this checks the address actually connected to, so a name re-pointed in between
+// (DNS rebinding) can't reach a private host.
+function publicLookup(hostname, options, callback) {
+    dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new ArticleFetchError('url must point to a public host', 400));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Agents for axios requests to user-supplied URLs; none when private hosts are allowed
+function publicRequestAgents() {
+    return allowPrivateHosts() ? {} : publicAgents;
+}
+
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function metaContent($, selectors) {
+    for (const selector of selectors) {
+        const value = cleanText($(selector).first().attr('content'));
+        if (value) return value;
+    }
+    return null;
+}
+
+// Article fields declared in JSON-LD blocks, if any
+function readJsonLd($) {
+    const found = {};
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        try {
+            const data = JSON.parse($(element).contents().text());
+            const items = [].concat(data['@graph'] || data);
+            items.forEach(item => {
+                if (!item || typeof item !== 'object') return;
+                found.headline = found.headline || item.headline;
+                found.datePublished = found.datePublished || item.datePublished;
+                if (!found.author && item.author) {
+                    const authors = [].concat(item.author);
+                    found.author = authors.map(author => (typeof author === 'string' ? author : author.name))
+                        .filter(Boolean)
+                        .join(', ');
+                }
+            });
+        } catch (error) {
+            // Malformed JSON-LD is common; fall back to the other signals
+        }
+    });
+
+    return found;
+}
+
+// The element holding the most paragraph text is taken to be the article body
+function extractBody($) {
+    const candidates = $('article, [itemprop="articleBody"], main, [role="main"]').toArray();
+    let best = null;
+    let bestLength = 0;
+
+    (candidates.length > 0 ? candidates : $('body').toArray()).forEach(element => {
+        const length = $(element).find('p').text().length;
+        if (length > bestLength) {
+            best = element;
+            bestLength = length;
+        }
+    });
+
+    if (!best) {
+        best = $('body').get(0);
+    }
+
+    const paragraphs = $(best).find('p')
+        .map((_, p) => cleanText($(p).text()))
+        .get()
+        .filter(text => text.length > 0);
+
+    return paragraphs.length > 0 ? paragraphs.join('\n\n') : cleanText($(best).text());
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Pull the headline, byline, publish date, canonical domain and body text out of an article page
+function extractArticle(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const jsonLd = readJsonLd($);
+
+    // A malformed or non-web canonical link falls back to the page's own URL
+    let canonicalUrl = new URL(pageUrl);
+    try {
+        const declared = new URL(
+            $('link[rel="canonical"]').attr('href') || metaContent($, ['meta[property="og:url"]']) || pageUrl,
+            pageUrl
+        );
+        if (['http:', 'https:'].includes(declared.protocol)) canonicalUrl = declared;
+    } catch (error) {
+        // Keep the page URL
+    }
+    const domain = canonicalUrl.hostname.replace(/^www\./, '');
+
+    const headline = cleanText(jsonLd.headline) ||
+        metaContent($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+        cleanText($('h1').first().text()) ||
+        cleanText($('title').text()) ||
+        null;
+
+    const byline = cleanText(jsonLd.author) ||
+        metaContent($, ['meta[name="author"]', 'meta[property="article:author"]']) ||
+        cleanText($('[itemprop="author"], [rel="author"], .byline, .author').first().text()) ||
+        null;
+
+    const publishedAt = toDate(
+        jsonLd.datePublished ||
+        metaContent($, ['meta[property="article:published_time"]', 'meta[name="date"]', 'meta[name="pubdate"]']) ||
+        $('time[datetime]').first().attr('datetime')
+    );
+
+    $(BOILERPLATE_SELECTORS).remove();
+    const text = extractBody($);
+
+    return {
+        url: pageUrl,
+        canonicalUrl: canonicalUrl.href,
+        domain,
+        headline,
+        byline,
+        publishedAt,
+        text
+    };
+}
+
+// GET a page without following redirects; redirects are followed by fetchArticle so every hop is checked
+async function requestPage(url) {
+    try {
+        return await axios.get(url, {
+            timeout: FETCH_TIMEOUT,
+            maxContentLength: MAX_PAGE_SIZE,
+            maxRedirects: 0,
+            validateStatus: (status) => status >= 200 && status < 400,
+            responseType: 'text',
+            headers: {
+                'User-Agent': 'TruthGuardBot/1.0 (+https://truthguard-2.onrender.com)',
+                'Accept': 'text/html,application/xhtml+xml'
+            },
+            ...publicRequestAgents()
+        });
+    } catch (error) {
+        const cause = error.cause || error;
+        if (cause instanceof ArticleFetchError) throw cause;
+        throw new ArticleFetchError(`Could not fetch article: ${error.message}`);
+    }
+}
+
+async function fetchArticle(url) {
+    let target = await validateArticleUrl(url);
+    let response = await requestPage(target.href);
+
+    for (let redirects = 0; response.status >= 300; redirects++) {
+        const location = response.headers.location;
+        if (!location) {
+            throw new ArticleFetchError(`Could not fetch article: status ${response.status} without a redirect location`);
+        }
+        if (redirects >= MAX_REDIRECTS) {
+            throw new ArticleFetchError(`Could not fetch article: more than ${MAX_REDIRECTS} redirects`);
+        }
+
+        let next;
+        try {
+            next = new URL(location, target).href;
+        } catch (error) {
+            throw new ArticleFetchError('Could not fetch article: invalid redirect location');
+        }
+        target = await validateArticleUrl(next);
+        response = await requestPage(target.href);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes('html')) {
+        throw new ArticleFetchError(`Expected an HTML page but got ${contentType || 'an unknown content type'}`);
+    }
+
+    const article = extractArticle(response.data, target.href);
+
+    if (!article.text) {
+        throw new ArticleFetchError('No article text found at url');
+    }
+
+    return article;
+}
+
+module.exports = {
+    ArticleFetchError,
+    isPrivateAddress,
+    validateArticleUrl,
+    publicLookup,
+    publicRequestAgents,
+    extractArticle,
+    fetchArticle
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { CheckError, resolveCheckInput, checkWithCache } = require('./checkPipeline');
+
+const MAX_BATCH_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 50;
+
+// Items checked at once across every job, to stay inside the upstream rate limits
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+
+// Finished jobs are kept in memory this long for polling
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Everything lives in memory, so both the waiting items and the jobs kept for polling are capped.
+// When there are too many jobs the oldest finished ones are dropped early.
+const MAX_QUEUED_ITEMS = Number(process.env.BATCH_MAX_QUEUED_ITEMS) || 500;
+const MAX_JOBS = Number(process.env.BATCH_MAX_JOBS) || 200;
+
+// Seconds a client is asked to wait when the queue is full
+const QUEUE_FULL_RETRY_AFTER = 30;
+
+const jobs = new Map();
+const pending = [];
+let active = 0;
+
+// Accept bare strings or `{ content }` / `{ url }` objects, optionally with a `language`;
+// returns the normalized items or an error message
+function normalizeBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'items must be a non-empty array' };
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return { error: `A batch can hold at most ${MAX_BATCH_ITEMS} items` };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < items.length; i++) {
+        const item = typeof items[i] === 'string' ? { content: items[i] } : items[i];
+        const hasContent = item && typeof item.content === 'string' && item.content.trim();
+        const hasUrl = item && typeof item.url === 'string' && item.url.trim();
+
+        if (!hasContent && !hasUrl) {
+            return { error: `Item ${i} needs non-empty content or url` };
+        }
+        const input = hasContent ? { content: item.content } : { url: item.url };
+        if (item.language) input.language = item.language;
+        normalized.push(input);
+    }
+
+    return { items: normalized };
+}
+
+function finishJobIfDone(job) {
+    if (job.items.some(item => item.status === 'queued' || item.status === 'running')) return;
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+async function processItem(job, item) {
+    item.status = 'running';
+    item.startedAt = new Date();
+    if (job.status === 'queued') job.status = 'running';
+
+    try {
+        const input = await resolveCheckInput({ language: job.language, ...item.input, mode: job.mode });
+        const result = await checkWithCache(input, { fresh: job.fresh });
+
+        item.status = 'done';
+        item.reportId = result.reportId;
+        item.result = result;
+    } catch (error) {
+        item.status = 'failed';
+        item.error = error.message;
+        if (!(error instanceof CheckError)) {
+            console.error(`Batch job ${job.id} item ${item.index} failed:`, error);
+        }
+    }
+
+    item.completedAt = new Date();
+    finishJobIfDone(job);
+}
+
+function drainQueue() {
+    while (active < BATCH_CONCURRENCY && pending.length > 0) {
+        const { job, item } = pending.shift();
+        active++;
+        processItem(job, item).finally(() => {
+            active--;
+            drainQueue();
+        });
+    }
+}
+
+// Make room for one more job, or return false if every kept job is still running
+function makeRoomForJob() {
+    if (jobs.size < MAX_JOBS) return true;
+
+    // Map order is creation order, so the first finished job is the oldest
+    for (const [id, job] of jobs) {
+        if (job.status === 'completed') {
+            jobs.delete(id);
+            return true;
+        }
+    }
+    return false;
+}
+
+// `apiKeyId` is the client key that queued the job, if any; only that key can read it back.
+// Throws a 503 CheckError when the queue can't take the items.
+function createBatchJob(items, { mode = 'full', language, fresh = false, apiKeyId = null } = {}) {
+    if (pending.length + items.length > MAX_QUEUED_ITEMS || !makeRoomForJob()) {
+        throw new CheckError('The batch queue is full, try again later', 503, { retryAfter: QUEUE_FULL_RETRY_AFTER });
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        apiKeyId,
+        status: 'queued',
+        mode,
+        language,
+        fresh,
+        createdAt: new Date(),
+        completedAt: null,
+        items: items.map((input, index) => ({
+            index,
+            input,
+            status: 'queued',
+            reportId: null,
+            result: null,
+            error: null,
+            startedAt: null,
+            completedAt: null
+        }))
+    };
+
+    jobs.set(job.id, job);
+    job.items.forEach(item => pending.push({ job, item }));
+    drainQueue();
+
+    return job;
+}
+
+function getBatchJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Public view of a job with progress counts
+function serializeBatchJob(job) {
+    const count = (status) => job.items.filter(item => item.status === status).length;
+
+    return {
+        id: job.id,
+        status: job.status,
+        mode: job.mode,
+        language: job.language || null,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        progress: {
+            total: job.items.length,
+            queued: count('queued'),
+            running: count('running'),
+            done: count('done'),
+            failed: count('failed')
+        },
+        items: job.items
+    };
+}
+
+module.exports = {
+    MAX_BATCH_ITEMS,
+    MAX_QUEUED_ITEMS,
+    MAX_JOBS,
+    normalizeBatchItems,
+    createBatchJob,
+    getBatchJob,
+    serializeBatchJob
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Identical text with different spacing or case should hit the same entry
+function normalizeContent(content) {
+    return content.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Heuristic and full results differ, and so do checks run in different languages, so both are part of the key
+function contentCacheKey(content, mode, language = 'en') {
+    return crypto
+        .createHash('sha256')
+        .update(`${mode}:${language}:${normalizeContent(content)}`)
+        .digest('hex');
+}
+
+// In-process LRU; a Map keeps insertion order, so the first key is the least recently used
+function createMemoryCache({ ttl, maxEntries }) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (Date.now() - entry.storedAt > ttl * 1000) {
+                entries.delete(key);
+                return null;
+            }
+
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, result) {
+            entries.delete(key);
+            entries.set(key, { result, storedAt: Date.now() });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+// Reuses the reports saved for every check, so there's nothing extra to store
+function createMongoCache({ ttl }) {
+    return {
+        name: 'mongo',
+        async get(key) {
+            if (mongoose.connection.readyState !== 1) return null;
+
+            // Only reports that were actually checked, so repeats don't keep the entry alive
+            const report = await UserReport.findOne({
+                contentHash: key,
+                cachedFrom: null,
+                degraded: { $ne: true },
+                timestamp: { $gte: new Date(Date.now() - ttl * 1000) }
+            }).sort({ timestamp: -1 }).lean();
+
+            if (!report) return null;
+
+            // Internal bookkeeping and the report's own feedback aren't part of the check result
+            const {
+                _id, __v, contentHash, cachedFrom, minhash, clusterId, feedback, feedbackStats, ...result
+            } = report;
+            return {
+                result: { ...result, reportId: _id },
+                storedAt: report.timestamp.getTime()
+            };
+        },
+        async set() {
+            // The report saved for the check is the cache entry
+        }
+    };
+}
+
+let cache;
+
+// Backend comes from CHECK_CACHE_BACKEND: memory (default), mongo or off
+function getCheckCache() {
+    if (cache !== undefined) return cache;
+
+    const backend = process.env.CHECK_CACHE_BACKEND || 'memory';
+    const ttl = Number(process.env.CHECK_CACHE_TTL) || DEFAULT_TTL_SECONDS;
+    const maxEntries = Number(process.env.CHECK_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+
+    if (backend === 'off') {
+        cache = null;
+    } else if (backend === 'mongo') {
+        cache = createMongoCache({ ttl });
+    } else {
+        cache = createMemoryCache({ ttl, maxEntries });
+    }
+
+    return cache;
+}
+
+module.exports = {
+    normalizeContent,
+    contentCacheKey,
+    createMemoryCache,
+    createMongoCache,
+    getCheckCache
+};
@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const analyzeContent = require('./analyzeContent');
+const { getProviders, getHeuristicProviders } = require('./providers');
+const { extractNewsSource, analyzeContentFactors } = require('./heuristics');
+const { extractClaims, verifyClaims } = require('./claims');
+const { fetchArticle } = require('./articleExtractor');
+const { decodeBase64Image, extractImageText } = require('./imageText');
+const { matchSourceReputations, scoreSourceReputation } = require('./sourceReputation');
+const { detectManipulation } = require('./manipulation');
+const { analyzeEntities } = require('./entityAnalysis');
+const { contentCacheKey, getCheckCache } = require('./checkCache');
+const { clampScore, getReliabilityLevel } = require('./scoring');
+const { buildExplanation } = require('./explanation');
+const { findSimilarReports } = require('./nearDuplicates');
+const { notifyWebhooks } = require('./webhooks');
+const { SUPPORTED_LANGUAGES, resolveLanguage } = require('./languages');
+
+const ANALYSIS_MODES = ['full', 'heuristic'];
+
+// A check that can't go ahead; `status` is the HTTP status to answer with
+class CheckError extends Error {
+    constructor(message, status, details = {}) {
+        super(message);
+        this.name = 'CheckError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Turn raw `{ content | url | image, mode, language }` input into the text to analyze and the analyzers to run.
+// `image` is an uploaded Buffer or a base64 string.
+async function resolveCheckInput({ content, url, image, mode: requestedMode = 'full', language: requestedLanguage }) {
+    let article = null;
+    let ocr = null;
+
+    if (!content && !url && !image) {
+        throw new CheckError('Content, url or image is required', 400);
+    }
+
+    if (!ANALYSIS_MODES.includes(requestedMode)) {
+        throw new CheckError(`mode must be one of: ${ANALYSIS_MODES.join(', ')}`, 400);
+    }
+
+    if (requestedLanguage && !SUPPORTED_LANGUAGES.includes(requestedLanguage)) {
+        throw new CheckError(`language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`, 400);
+    }
+
+    // Read the text out of screenshots
+    if (!content && !url) {
+        try {
+            const buffer = Buffer.isBuffer(image) ? image : decodeBase64Image(image);
+            ocr = await extractImageText(buffer, { language: requestedLanguage });
+        } catch (error) {
+            throw new CheckError(error.message, error.status || 422);
+        }
+        content = ocr.text;
+    }
+
+    // Fetch linked articles and analyze the extracted headline and body
+    if (!content) {
+        try {
+            article = await fetchArticle(url);
+        } catch (error) {
+            throw new CheckError(error.message, error.status || 422);
+        }
+        content = article.headline ? `${article.headline}\n\n${article.text}` : article.text;
+    }
+
+    // Without any configured analyzers that count towards the score (e.g. no API keys; news
+    // coverage alone is only reported) the heuristics are all we have
+    const configuredProviders = getProviders();
+    const scoring = configuredProviders.filter(provider => provider.weight > 0);
+    const mode = requestedMode === 'heuristic' || scoring.length === 0 ? 'heuristic' : 'full';
+    const providers = mode === 'heuristic' ? getHeuristicProviders() : configuredProviders;
+
+    return { content, article, ocr, mode, providers, language: resolveLanguage(content, requestedLanguage) };
+}
+
+// Run the selected analyzers and combine them with the local heuristics.
+// `onEvent(name, data)` is told about each stage as it completes, for streaming clients.
+async function runCheck({ content, article, ocr = null, mode, providers, language = resolveLanguage(content) }, { onEvent = () => {} } = {}) {
+    // Run all selected analyzers in parallel, alongside the per-claim checks, source lookup and entity cross-check
+    const [{ results, combined, degraded }, claims, sources, entityAnalysis] = await Promise.all([
+        analyzeContent(content, providers, { onEvent, language: language.code }),
+        verifyClaims(extractClaims(content, language.code), providers, { language: language.code }).then(claims => {
+            onEvent('claims', { claims });
+            return claims;
+        }),
+        // Source analysis, with stored reputations for the sources we know
+        matchSourceReputations(
+            extractNewsSource(content, { domain: article && article.domain, language: language.code })
+        ).then(sources => {
+            onEvent('sources', { sources });
+            return sources;
+        }),
+        analyzeEntities(content, language.code).then(entityAnalysis => {
+            onEvent('entities', { entityAnalysis });
+            return entityAnalysis;
+        })
+    ]);
+
+    // Nothing left to score with if every weighted analyzer failed
+    if (combined.credibilityScore === null) {
+        throw new CheckError('Analysis failed', 503, {
+            details: 'All analyzers failed',
+            analyzers: summarizeAnalyzers(results),
+            retryAfter: 5
+        });
+    }
+
+    const huggingface = succeeded(results.huggingface);
+    const mistral = succeeded(results.mistral);
+    const newsApi = succeeded(results.newsapi);
+
+    const sourceReputation = scoreSourceReputation(sources);
+    const contentFactors = analyzeContentFactors(content, language.code);
+    const manipulation = detectManipulation(content, language.code);
+    const adjustment = sourceReputation.adjustment + manipulation.adjustment;
+
+    // The zero-shot classifier drives the per-label metrics; without it fall back to the combined scores
+    const baseCredibilityScore = huggingface ? huggingface.scores.credibilityScore : combined.credibilityScore;
+    const credibilityScore = clampScore(baseCredibilityScore + adjustment);
+    const truthScore = huggingface ? huggingface.scores.truthScore : combined.truthScore;
+    const reliabilityBasis = huggingface ? huggingface.details.rawCredibilityScore : combined.credibilityScore;
+
+    // Prepare comprehensive result
+    const result = {
+        content: content,
+        mode: mode,
+        language: language,
+        article: article && {
+            url: article.url,
+            canonicalUrl: article.canonicalUrl,
+            domain: article.domain,
+            headline: article.headline,
+            byline: article.byline,
+            publishedAt: article.publishedAt
+        },
+        ocr: ocr,
+        contentAnalysis: {
+            ...(huggingface ? huggingface.details.contentAnalysis : {}),
+            factors: contentFactors
+        },
+        verificationResult: huggingface ? huggingface.details.verificationResult : null,
+        claims: claims,
+        entityAnalysis: entityAnalysis,
+        sourceAnalysis: {
+            sources: sources,
+            hasIdentifiableSources: sources.length > 0,
+            primarySource: sources.length > 0 ? sources[0] : null,
+            sourceCount: sources.length,
+            sourceTypes: [...new Set(sources.map(s => s.type))]
+        },
+        credibilityMetrics: {
+            credibilityScore: credibilityScore,
+            truthScore: truthScore,
+            reliability: {
+                score: huggingface ? huggingface.details.factualScore : combined.credibilityScore,
+                label: getReliabilityLevel(reliabilityBasis),
+                confidence: huggingface ? huggingface.scores.confidence : combined.confidence
+            },
+            sourceReputation: sourceReputation,
+            manipulation: manipulation,
+            contentQuality: {
+                complexity: contentFactors.complexity,
+                citations: contentFactors.citations,
+                hasQuotes: contentFactors.quotes.length > 0,
+                hasDates: contentFactors.dates.length > 0,
+                hasStatistics: contentFactors.statistics
+            }
+        },
+        timestamp: new Date()
+    };
+
+    const combinedCredibilityScore = clampScore(combined.credibilityScore + adjustment);
+
+    // Add the other analyzers' results to the response
+    const combinedResult = {
+        ...result,
+        mistralAnalysis: mistral ? mistral.details : null,
+        newsVerification: newsApi ? newsApi.details : null,
+        analyzers: summarizeAnalyzers(results),
+        degraded: degraded,
+        combinedMetrics: {
+            ...combined,
+            credibilityScore: combinedCredibilityScore,
+            newsReliability: newsApi ? newsApi.details.confidence : null
+        },
+        explanation: buildExplanation({
+            results,
+            combined,
+            credibilityScore: combinedCredibilityScore,
+            truthScore: combined.truthScore,
+            reliability: { label: result.credibilityMetrics.reliability.label, basis: reliabilityBasis },
+            verificationResult: result.verificationResult,
+            sourceReputation,
+            manipulation,
+            entityAnalysis,
+            contentFactors
+        })
+    };
+
+    return combinedResult;
+}
+
+// A cache failure should only ever cost us the upstream calls
+async function readCache(cache, key) {
+    try {
+        return await cache.get(key);
+    } catch (error) {
+        console.error('Check cache read failed:', error.message);
+        return null;
+    }
+}
+
+async function writeCache(cache, key, result) {
+    try {
+        await cache.set(key, result);
+    } catch (error) {
+        console.error('Check cache write failed:', error.message);
+    }
+}
+
+// Serve recently checked content from the cache, otherwise run, save and cache a new check.
+// Either way the submission is saved as a report, so repeats show up in clusters and stats.
+async function checkWithCache(input, { fresh = false, onEvent } = {}) {
+    const cache = getCheckCache();
+    const cacheKey = contentCacheKey(input.content, input.mode, input.language.code);
+
+    if (cache && !fresh) {
+        const hit = await readCache(cache, cacheKey);
+        if (hit) {
+            const { reportId: cachedFrom, similarReports: cachedSimilarReports, ...cached } = hit.result;
+            const { fingerprint, similarReports } = await findSimilarReports(input.content, input.language.code);
+            const result = {
+                ...cached,
+                // The same text may have come from a different screenshot, or none
+                ocr: input.ocr || null,
+                similarReports,
+                timestamp: new Date()
+            };
+            const reportId = await saveReport(result, cacheKey, fingerprint, cachedFrom);
+
+            // Repeats are submissions too, so webhooks hear about them, flagged as cached
+            notifyWebhooks({ ...result, cached: true }, reportId);
+
+            return {
+                ...result,
+                reportId,
+                cachedFrom: cachedFrom || null,
+                cached: true,
+                cacheAge: Math.round((Date.now() - hit.storedAt) / 1000)
+            };
+        }
+    }
+
+    console.log(`Starting content analysis (${input.mode} mode, ${input.language.code})...`);
+
+    // Earlier reports of the same claim, looked up while the analyzers run
+    const [checked, { fingerprint, similarReports }] = await Promise.all([
+        runCheck(input, { onEvent }),
+        findSimilarReports(input.content, input.language.code)
+    ]);
+    const result = { ...checked, similarReports };
+    const reportId = await saveReport(result, cacheKey, fingerprint);
+
+    // Not awaited: receivers are told in the background, with retries
+    notifyWebhooks(result, reportId);
+
+    // Degraded results would keep serving a partial answer after the upstream recovers
+    if (cache && !result.degraded) {
+        await writeCache(cache, cacheKey, { ...result, reportId });
+    }
+
+    return { ...result, reportId, cached: false };
+}
+
+// An analyzer's result, or null if it didn't succeed
+function succeeded(result) {
+    return result && result.status === 'ok' ? result : null;
+}
+
+// Per-analyzer status, weight and scores for the response, without the raw details
+function summarizeAnalyzers(results) {
+    return Object.fromEntries(
+        Object.entries(results).map(([name, { status, weight, scores, reason }]) => [
+            name,
+            status === 'ok' ? { status, weight, scores } : { status, weight, reason }
+        ])
+    );
+}
+
+// Persist a finished check so it can be looked up later from the report history.
+// A near-duplicate of earlier reports joins the closest one's cluster, anything else starts its own.
+// `cachedFrom` is the report whose result a cache hit reused.
+async function saveReport(result, contentHash, fingerprint = null, cachedFrom = null) {
+    // Don't wait on mongoose's command buffering when the database is down
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+        const id = new mongoose.Types.ObjectId();
+        const closest = (result.similarReports || [])[0];
+
+        const report = await UserReport.create({
+            _id: id,
+            clusterId: closest ? closest.clusterId : id,
+            minhash: fingerprint,
+            content: result.content,
+            contentHash: contentHash,
+            cachedFrom: cachedFrom,
+            mode: result.mode,
+            language: result.language,
+            article: result.article,
+            ocr: result.ocr,
+            reliability: result.credibilityMetrics.reliability.label,
+            contentAnalysis: result.contentAnalysis,
+            verificationResult: result.verificationResult,
+            claims: result.claims,
+            entityAnalysis: result.entityAnalysis,
+            sourceAnalysis: result.sourceAnalysis,
+            credibilityMetrics: result.credibilityMetrics,
+            mistralAnalysis: result.mistralAnalysis,
+            newsVerification: result.newsVerification,
+            analyzers: result.analyzers,
+            degraded: result.degraded,
+            combinedMetrics: result.combinedMetrics,
+            explanation: result.explanation,
+            similarReports: result.similarReports,
+            timestamp: result.timestamp
+        });
+        return report._id;
+    } catch (error) {
+        // A storage failure shouldn't cost the user their result
+        console.error('Failed to save report:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    ANALYSIS_MODES,
+    CheckError,
+    resolveCheckInput,
+    runCheck,
+    checkWithCache,
+    saveReport
+};
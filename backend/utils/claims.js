@@ -0,0 +1,92 @@
+const { findQuotes, extractDates, hasStatistics } = require('./heuristics');
+const retryWithTimeout = require('./retryWithTimeout');
+const mapWithConcurrency = require('./mapWithConcurrency');
+
+// Upper bound on claims verified per check, to keep upstream calls in check
+const MAX_CLAIMS = 8;
+
+// Claims verified at the same time
+const CLAIM_CONCURRENCY = 2;
+
+// Sentences with their character offsets in the content; a point between digits ("1.4") doesn't end one
+function splitSentences(content) {
+    const sentences = [];
+    const pattern = /(?:[^.!?।\n]|\.(?=\d))+(?:[.!?।]+["')\]]*|\n|$)/g;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const raw = match[0];
+        const text = raw.trim();
+        if (!text) continue;
+
+        const start = match.index + raw.indexOf(text);
+        sentences.push({ text, start, end: start + text.length });
+    }
+
+    return sentences;
+}
+
+// Split content into checkable claims: sentences carrying statistics, quotes or dates
+function extractClaims(content, language) {
+    const quotes = findQuotes(content);
+
+    return splitSentences(content)
+        .map(sentence => {
+            const types = [];
+            if (hasStatistics(sentence.text, language)) types.push('statistic');
+            if (quotes.some(quote => quote.start < sentence.end && quote.end > sentence.start)) types.push('quote');
+            if (extractDates(sentence.text, language).length > 0) types.push('date');
+
+            return { ...sentence, types };
+        })
+        .filter(claim => claim.types.length > 0)
+        .slice(0, MAX_CLAIMS);
+}
+
+// Run one claim through every analyzer that can check claims on their own. Analyzers whose
+// per-check `maxClaims` is used up by earlier claims are marked skipped.
+async function verifyClaim(claim, index, providers, context) {
+    const verified = {
+        ...claim,
+        verdict: null,
+        labelScores: null,
+        coverage: null,
+        supportingArticles: [],
+        analyzers: {}
+    };
+
+    await Promise.all(providers.map(async (provider) => {
+        if (typeof provider.maxClaims === 'number' && index >= provider.maxClaims) {
+            verified.analyzers[provider.name] = 'skipped';
+            return;
+        }
+
+        try {
+            const result = await retryWithTimeout(
+                (signal) => provider.analyzeClaim(claim.text, signal, context),
+                provider.retries,
+                provider.timeout
+            );
+            Object.assign(verified, result);
+            verified.analyzers[provider.name] = 'ok';
+        } catch (error) {
+            console.error(`Claim check by ${provider.name} failed:`, error.message);
+            verified.analyzers[provider.name] = 'failed';
+        }
+    }));
+
+    return verified;
+}
+
+// `context.language` is passed on to the analyzers
+async function verifyClaims(claims, providers, context = {}) {
+    const claimProviders = providers.filter(provider => typeof provider.analyzeClaim === 'function');
+
+    return mapWithConcurrency(claims, CLAIM_CONCURRENCY, (claim, index) => verifyClaim(claim, index, claimProviders, context));
+}
+
+module.exports = {
+    splitSentences,
+    extractClaims,
+    verifyClaims
+};
@@ -0,0 +1,348 @@
+// People, organizations, places, figures and dates named in the content, cross-checked
+// against the reference facts we maintain (e.g. "population of India", "Prime Minister of India since 2014")
+
+const mongoose = require('mongoose');
+const ReferenceFact = require('../models/referenceFact');
+const { normalizeEntityKey } = require('../models/referenceFact');
+const { getLanguagePack } = require('./languages');
+const { splitSentences } = require('./claims');
+const { toAsciiDigits, findDates, findNumbers } = require('./heuristics');
+
+// Runs of capitalized words, allowing short joiners and abbreviations: "Reserve Bank of India", "Dr. Rao".
+// A full stop after a longer word ends the sentence, and the run.
+const NAME_WORD = "[A-Z](?:[\\p{L}\\p{M}'’-]*|[a-z]{0,3}\\.)";
+const NAME_PATTERN = new RegExp(`\\b${NAME_WORD}(?:\\s+(?:(?:of|for|and|the|de)\\s+)?${NAME_WORD})*`, 'gu');
+const NAME_JOINERS = new Set(['of', 'for', 'and', 'the', 'de']);
+const ACRONYM_PATTERN = /^[A-Z]{2,6}$/;
+// Where a capitalized word is just the start of a sentence
+const SENTENCE_START_PATTERN = /(?:^|[.!?।\n]["'”’)]?\s*|["“‘(]\s*)$/;
+
+// Bare whole numbers in this range are read as years
+const MIN_YEAR = 1800;
+const MAX_YEAR = 2099;
+
+// Word n-grams of the content looked up as reference entity names, and how many at most
+const MAX_KEY_WORDS = 4;
+const MAX_CANDIDATE_KEYS = 2000;
+const MAX_REFERENCE_FACTS = 50;
+
+const MAX_ENTITIES = 30;
+const MAX_SPANS = 5;
+const MAX_CHECKS = 20;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && a.end > b.start;
+}
+
+function within(item, sentence) {
+    return item.start >= sentence.start && item.end <= sentence.end;
+}
+
+// The content's words in the form normalizeEntityKey gives names, padded so keys match whole words
+function normalizedWords(text) {
+    return ` ${(text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []).join(' ')} `;
+}
+
+function mentions(normalized, keys) {
+    return keys.some(key => normalized.includes(` ${key} `));
+}
+
+// Where a name occurs in the content, case-insensitively and across any spacing or punctuation
+function findMentions(content, name) {
+    const words = name.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    if (words.length === 0) return [];
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${words.map(escapeRegExp).join('[^\\p{L}\\p{M}\\p{N}]+')}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+    return [...content.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+function startsWithTitle(words, titles) {
+    return titles
+        .map(title => title.split(' '))
+        .filter(title => title.length < words.length && title.every((word, i) => words[i].replace(/\.$/, '') === word))
+        .reduce((longest, title) => Math.max(longest, title.length), 0);
+}
+
+// Guess what a capitalized name is from its title, its last word or the word before it
+function classifyName(words, precedingWord, clues) {
+    if (clues.organizationWords.includes(words[words.length - 1].replace(/\.$/, ''))) return 'organization';
+    if (clues.placePrepositions.includes(precedingWord)) return 'place';
+    if (words.length === 1 && ACRONYM_PATTERN.test(words[0])) return 'organization';
+    if (words.length >= 2 && words.length <= 3 && words.every(word => /^[A-Z][\p{Ll}\p{M}'’-]+$/u.test(word))) return 'person';
+    return 'other';
+}
+
+// Capitalized names, and for scripts without capitals the names that follow a title ("प्रधानमंत्री ...")
+function findNames(content, language) {
+    const pack = getLanguagePack(language);
+    const stopwords = new Set(pack.stopwords);
+    const clues = pack.entityClues;
+    const names = [];
+
+    const addName = (words, type) => {
+        const start = words[0].start;
+        const end = words[words.length - 1].start + words[words.length - 1].text.length;
+        names.push({ name: content.slice(start, end), type, start, end });
+    };
+
+    for (const match of content.matchAll(NAME_PATTERN)) {
+        let words = [...match[0].replace(/[.'’-]+$/, '').matchAll(/\S+/g)]
+            .map(word => ({ text: word[0], start: match.index + word.index }));
+
+        // "The", "In" and the like only start the run because they start a sentence
+        while (words.length > 0 && stopwords.has(words[0].text.toLowerCase())) words = words.slice(1);
+        if (words.length === 0) continue;
+
+        // "Prime Minister Narendra Modi" names a person; "Prime Minister of India" names a post
+        const titleWords = startsWithTitle(words.map(word => word.text), clues.personTitles);
+        if (titleWords > 0) {
+            words = words.slice(titleWords);
+            if (!NAME_JOINERS.has(words[0].text)) {
+                addName(words, 'person');
+                continue;
+            }
+            words = words.slice(1);
+            if (words.length === 0) continue;
+        }
+
+        const texts = words.map(word => word.text);
+        if (texts.length === 1 && clues.personTitles.includes(texts[0])) continue;
+        // A lone capitalized word opening a sentence is usually just an ordinary word
+        if (texts.length === 1 && !ACRONYM_PATTERN.test(texts[0]) && SENTENCE_START_PATTERN.test(content.slice(0, words[0].start))) continue;
+
+        const preceding = (content.slice(0, words[0].start).match(/(\p{L}+)\s*$/u) || [])[1];
+        addName(words, classifyName(texts, preceding && preceding.toLowerCase(), clues));
+    }
+
+    // Titles in scripts without capitals, followed by up to two words of the name
+    const uncased = clues.personTitles.filter(title => !/[A-Za-z]/.test(title));
+    if (uncased.length > 0) {
+        const titled = new RegExp(`(?<![\\p{L}\\p{M}])(?:${uncased.map(escapeRegExp).join('|')})\\s+((?:[\\p{L}\\p{M}]+\\s*){1,2})`, 'gu');
+        for (const match of content.matchAll(titled)) {
+            const offset = match.index + match[0].length - match[1].length;
+            const words = [];
+            for (const word of match[1].matchAll(/\S+/g)) {
+                if (stopwords.has(word[0])) break;
+                words.push({ text: word[0], start: offset + word.index });
+            }
+            if (words.length > 0) addName(words, 'person');
+        }
+    }
+
+    return names;
+}
+
+// Fold name mentions into one entry per entity, with reference entities' stored types taking precedence
+function groupEntities(names, facts, content) {
+    const entities = new Map();
+    const add = (key, name, type, spans) => {
+        if (!key) return;
+        const entity = entities.get(key) || { name, type, mentions: 0, spans: [] };
+        spans.forEach(span => {
+            if (entity.spans.some(existing => overlaps(existing, span))) return;
+            entity.spans.push(span);
+            entity.mentions++;
+        });
+        entities.set(key, entity);
+    };
+
+    names.forEach(({ name, type, start, end }) => add(normalizeEntityKey(name), name, type, [{ start, end }]));
+
+    facts.forEach(fact => {
+        const key = fact.keys.find(candidate => entities.has(candidate)) || fact.keys[0];
+        const spans = [fact.entity, ...(fact.aliases || [])].flatMap(name => findMentions(content, name));
+        if (spans.length === 0 && !entities.has(key)) return;
+
+        add(key, fact.entity, fact.entityType, spans);
+        const entity = entities.get(key);
+        entity.name = fact.entity;
+        if (fact.entityType !== 'other') entity.type = fact.entityType;
+    });
+
+    return [...entities.values()]
+        .map(entity => ({ ...entity, spans: entity.spans.sort((a, b) => a.start - b.start).slice(0, MAX_SPANS) }))
+        .sort((a, b) => b.mentions - a.mentions)
+        .slice(0, MAX_ENTITIES);
+}
+
+// Figures and dates, with bare years moved from the figures to the dates
+function findFiguresAndDates(content, language) {
+    const dates = findDates(content, language).map(date => ({ ...date, precision: 'day' }));
+    const numbers = [];
+
+    findNumbers(content, language)
+        .filter(number => !dates.some(date => overlaps(date, number)))
+        .forEach(number => {
+            if (number.plain && number.value >= MIN_YEAR && number.value <= MAX_YEAR) {
+                dates.push({ text: number.text, value: String(number.value), precision: 'year', start: number.start, end: number.end });
+            } else {
+                const { plain, ...figure } = number;
+                numbers.push(figure);
+            }
+        });
+
+    return { numbers, dates: dates.sort((a, b) => a.start - b.start) };
+}
+
+// Years given as the start of something ("since 2014")
+function findSinceYears(content, language) {
+    const { sincePattern } = getLanguagePack(language);
+    return [...content.matchAll(sincePattern)].map(match => {
+        const year = toAsciiDigits(match.slice(1).find(Boolean));
+        return { text: match[0], value: year, start: match.index, end: match.index + match[0].length };
+    });
+}
+
+// Reference facts about any entity the content names
+async function findReferenceFacts(content, names) {
+    // Don't wait on mongoose's command buffering when the database is down
+    if (mongoose.connection.readyState !== 1) {
+        return [];
+    }
+
+    const words = normalizedWords(content).trim().split(' ').filter(Boolean);
+    const keys = new Set(names.map(({ name }) => normalizeEntityKey(name)).filter(Boolean));
+    for (let i = 0; i < words.length && keys.size < MAX_CANDIDATE_KEYS; i++) {
+        for (let size = 1; size <= MAX_KEY_WORDS && i + size <= words.length; size++) {
+            keys.add(words.slice(i, i + size).join(' '));
+        }
+    }
+
+    try {
+        return await ReferenceFact.find({ keys: { $in: [...keys] } }).limit(MAX_REFERENCE_FACTS).lean();
+    } catch (error) {
+        console.error('Reference fact lookup failed:', error.message);
+        return [];
+    }
+}
+
+function year(value) {
+    return String(value).slice(0, 4);
+}
+
+function describeClaim(item) {
+    return { text: item.text, value: item.value, start: item.start, end: item.end };
+}
+
+// How a sentence naming the fact's entity and attribute lines up with the fact, or null if it states nothing comparable
+function checkFact(fact, sentence, found) {
+    const base = {
+        factId: fact._id,
+        entity: fact.entity,
+        attribute: fact.attribute,
+        sentence: { text: sentence.text, start: sentence.start, end: sentence.end },
+        source: fact.source || null,
+        asOf: fact.asOf || null
+    };
+
+    if (fact.valueType === 'number') {
+        const figures = found.numbers.filter(number => within(number, sentence) && number.unit === (fact.unit || null));
+        if (figures.length === 0) return null;
+
+        const difference = (number) => Math.abs(number.value - fact.value) / (Math.abs(fact.value) || 1);
+        const closest = figures.reduce((best, number) => (difference(number) < difference(best) ? number : best));
+        return {
+            ...base,
+            kind: 'numeric',
+            status: difference(closest) <= fact.tolerance ? 'consistent' : 'contradicted',
+            expected: fact.value,
+            claimed: describeClaim(closest),
+            difference: Math.round(difference(closest) * 1000) / 1000
+        };
+    }
+
+    if (fact.valueType === 'date') {
+        const dates = found.dates.filter(date => within(date, sentence) && date.value);
+        if (dates.length === 0) return null;
+
+        const expected = String(fact.value);
+        // Compare at the coarser of the two precisions
+        const agrees = (date) => (date.precision === 'year' || expected.length === 4
+            ? year(date.value) === year(expected)
+            : date.value === expected);
+        const claimed = dates.find(agrees) || dates[0];
+        return { ...base, kind: 'temporal', status: agrees(claimed) ? 'consistent' : 'contradicted', expected, claimed: describeClaim(claimed) };
+    }
+
+    // Text values are office holders and the like: naming them agrees, naming someone else contradicts
+    const valueKeys = [fact.value, ...(fact.valueAliases || [])].map(normalizeEntityKey).filter(Boolean);
+    if (mentions(normalizedWords(sentence.text), valueKeys)) {
+        const since = fact.since && found.sinceYears.find(item => within(item, sentence));
+        if (since) {
+            return {
+                ...base,
+                kind: 'temporal',
+                status: since.value === year(fact.since) ? 'consistent' : 'contradicted',
+                expected: fact.since,
+                claimed: describeClaim(since)
+            };
+        }
+        return { ...base, kind: 'text', status: 'consistent', expected: fact.value, claimed: null };
+    }
+
+    const other = found.entities.find(entity => entity.type === 'person'
+        && !fact.keys.includes(normalizeEntityKey(entity.name))
+        && entity.spans.some(span => within(span, sentence)));
+    if (!other) return null;
+
+    const span = other.spans.find(candidate => within(candidate, sentence));
+    return {
+        ...base,
+        kind: 'text',
+        status: 'contradicted',
+        expected: fact.value,
+        claimed: { text: other.name, value: other.name, start: span.start, end: span.end }
+    };
+}
+
+// Every sentence that names a fact's entity together with its attribute, checked against the fact
+function crossCheck(facts, content, found) {
+    const checks = [];
+    const sentences = splitSentences(content).map(sentence => ({ ...sentence, normalized: normalizedWords(sentence.text) }));
+
+    facts.forEach(fact => {
+        sentences
+            .filter(sentence => mentions(sentence.normalized, fact.keys) && mentions(sentence.normalized, fact.attributeKeys))
+            .forEach(sentence => {
+                const check = checkFact(fact, sentence, found);
+                if (check) checks.push(check);
+            });
+    });
+
+    // Contradictions first, so they survive the cut
+    return checks
+        .sort((a, b) => (a.status === 'contradicted' ? 0 : 1) - (b.status === 'contradicted' ? 0 : 1) || a.sentence.start - b.sentence.start)
+        .slice(0, MAX_CHECKS);
+}
+
+// Named entities, figures and dates in the content, and where they contradict the reference facts
+async function analyzeEntities(content, language) {
+    const { numbers, dates } = findFiguresAndDates(content, language);
+    // Month names open date runs ("March 4, 2024") without being names
+    const names = findNames(content, language).filter(name => !dates.some(date => overlaps(date, name)));
+    const facts = await findReferenceFacts(content, names);
+
+    const entities = groupEntities(names, facts, content);
+    const checks = crossCheck(facts, content, { entities, numbers, dates, sinceYears: findSinceYears(content, language) });
+
+    return {
+        entities,
+        numbers,
+        dates,
+        referenceFacts: facts.length,
+        checks,
+        contradictions: checks.filter(check => check.status === 'contradicted').length
+    };
+}
+
+module.exports = {
+    findNames,
+    findFiguresAndDates,
+    findReferenceFacts,
+    checkFact,
+    analyzeEntities
+};
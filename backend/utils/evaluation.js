@@ -0,0 +1,328 @@
+const { runCheck, CheckError } = require('./checkPipeline');
+const retryWithTimeout = require('./retryWithTimeout');
+const { resolveLanguage } = require('./languages');
+const {
+    RELIABILITY_LEVELS,
+    clampScore,
+    getScoringConfig,
+    scoreFactLabels,
+    getReliabilityLevel
+} = require('./scoring');
+
+// Credibility each label should land on, used as the target when fitting analyzer weights
+const LABEL_TARGET_SCORES = {
+    'highly reliable': 90,
+    'reliable': 70,
+    'moderately reliable': 50,
+    'somewhat unreliable': 30,
+    'unreliable': 10
+};
+
+// Labels counted as "reliable" for the calibration curve
+const POSITIVE_LABELS = ['highly reliable', 'reliable'];
+
+const CALIBRATION_BINS = 10;
+
+// Search grids for fitting
+const LABEL_WEIGHT_GRID = [-150, -125, -100, -75, -50, -25, 0];
+const THRESHOLD_RANGE = { min: -100, max: 150 };
+const WEIGHT_STEP = 0.05;
+const FIT_PASSES = 3;
+
+// One JSON object per line: { id?, content, label, language?, responses? }
+function parseDataset(text) {
+    return text
+        .split('\n')
+        .map((line, index) => ({ line: line.trim(), index }))
+        .filter(({ line }) => line)
+        .map(({ line, index }) => {
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1}: invalid JSON (${error.message})`);
+            }
+            if (!item.content) {
+                throw new Error(`Line ${index + 1}: content is required`);
+            }
+            if (!RELIABILITY_LEVELS.includes(item.label)) {
+                throw new Error(`Line ${index + 1}: label must be one of: ${RELIABILITY_LEVELS.join(', ')}`);
+            }
+            return { id: item.id || String(index + 1), ...item };
+        });
+}
+
+// Providers that answer from an item's recorded (or hand-written stub) responses instead of calling out
+function replayProviders(providers, responses = {}) {
+    return providers.map(provider => ({
+        ...provider,
+        retries: 1,
+        analyzeClaim: undefined,
+        analyze: async (content, signal, progress, context) => {
+            if (responses[provider.name] !== undefined && typeof provider.score === 'function') {
+                return provider.score(responses[provider.name]);
+            }
+            if (provider.local) {
+                return provider.analyze(content, signal, progress, context);
+            }
+            throw new Error(`No recorded ${provider.name} response`);
+        }
+    }));
+}
+
+// Call each remote provider for real and keep its raw response for later replays
+async function recordResponses(item, providers) {
+    const responses = {};
+    const { code } = resolveLanguage(item.content, item.language);
+
+    for (const provider of providers) {
+        if (provider.local || typeof provider.fetch !== 'function') continue;
+
+        try {
+            responses[provider.name] = await retryWithTimeout(
+                (signal) => provider.fetch(item.content, signal, undefined, { language: code }),
+                provider.retries,
+                provider.timeout
+            );
+        } catch (error) {
+            console.error(`Recording ${provider.name} for item ${item.id} failed:`, error.message);
+        }
+    }
+
+    return responses;
+}
+
+// Run the check pipeline on one item and keep what the scoring formulas need to re-score it
+async function extractFeatures(item, providers) {
+    let result;
+    try {
+        result = await runCheck({
+            content: item.content,
+            article: null,
+            mode: 'full',
+            providers: replayProviders(providers, item.responses),
+            language: resolveLanguage(item.content, item.language)
+        });
+    } catch (error) {
+        if (error instanceof CheckError) return null;
+        throw error;
+    }
+
+    const facts = result.analyzers.huggingface && result.analyzers.huggingface.status === 'ok'
+        ? item.responses.huggingface.facts
+        : null;
+
+    return {
+        facts: facts && Object.fromEntries(facts.labels.map((label, i) => [label, facts.scores[i]])),
+        analyzers: Object.fromEntries(
+            Object.entries(result.analyzers)
+                .filter(([, analyzer]) => analyzer.status === 'ok')
+                .map(([name, analyzer]) => [name, {
+                    weight: analyzer.weight,
+                    credibilityScore: analyzer.scores.credibilityScore
+                }])
+        ),
+        sourceAdjustment: result.credibilityMetrics.sourceReputation.adjustment,
+        manipulationAdjustment: result.credibilityMetrics.manipulation.adjustment,
+        pipeline: {
+            label: result.credibilityMetrics.reliability.label,
+            credibilityScore: result.combinedMetrics.credibilityScore
+        }
+    };
+}
+
+// Re-score extracted features under a scoring config, mirroring runCheck
+function predict(features, config) {
+    const factScores = features.facts ? scoreFactLabels(features.facts, config) : null;
+
+    let total = 0;
+    let totalWeight = 0;
+    Object.entries(features.analyzers).forEach(([name, analyzer]) => {
+        const weight = config.analyzerWeights[name] !== undefined ? config.analyzerWeights[name] : analyzer.weight;
+        const score = name === 'huggingface' && factScores ? factScores.credibilityScore : analyzer.credibilityScore;
+        if (!weight || typeof score !== 'number') return;
+        total += score * weight;
+        totalWeight += weight;
+    });
+
+    const combined = totalWeight > 0 ? Math.round(total / totalWeight) : null;
+    const basis = factScores ? factScores.rawCredibilityScore : combined;
+
+    return {
+        basis,
+        label: basis === null ? null : getReliabilityLevel(basis, config),
+        credibilityScore: combined === null ? null : clampScore(combined + features.sourceAdjustment + features.manipulationAdjustment)
+    };
+}
+
+function computeMetrics(samples, config) {
+    const confusion = Object.fromEntries(RELIABILITY_LEVELS.map(actual => [
+        actual,
+        Object.fromEntries([...RELIABILITY_LEVELS, 'no result'].map(predicted => [predicted, 0]))
+    ]));
+    const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+        range: [i * (100 / CALIBRATION_BINS), (i + 1) * (100 / CALIBRATION_BINS)],
+        count: 0,
+        predictedSum: 0,
+        positives: 0
+    }));
+
+    let correct = 0;
+    let absoluteError = 0;
+    let scored = 0;
+
+    samples.forEach(({ item, features }) => {
+        const prediction = features ? predict(features, config) : { label: null, credibilityScore: null };
+        confusion[item.label][prediction.label || 'no result']++;
+        if (prediction.label === item.label) correct++;
+
+        if (prediction.credibilityScore !== null) {
+            scored++;
+            absoluteError += Math.abs(prediction.credibilityScore - LABEL_TARGET_SCORES[item.label]);
+
+            const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(prediction.credibilityScore / (100 / CALIBRATION_BINS)))];
+            bin.count++;
+            bin.predictedSum += prediction.credibilityScore / 100;
+            if (POSITIVE_LABELS.includes(item.label)) bin.positives++;
+        }
+    });
+
+    const calibration = bins.map(bin => ({
+        range: bin.range,
+        count: bin.count,
+        meanPredicted: bin.count > 0 ? bin.predictedSum / bin.count : null,
+        observedReliableRate: bin.count > 0 ? bin.positives / bin.count : null
+    }));
+
+    const expectedCalibrationError = scored > 0
+        ? calibration.reduce((sum, bin) => (
+            bin.count > 0 ? sum + (bin.count / scored) * Math.abs(bin.meanPredicted - bin.observedReliableRate) : sum
+        ), 0)
+        : null;
+
+    return {
+        total: samples.length,
+        accuracy: samples.length > 0 ? correct / samples.length : null,
+        meanAbsoluteError: scored > 0 ? absoluteError / scored : null,
+        confusionMatrix: confusion,
+        calibration,
+        expectedCalibrationError
+    };
+}
+
+function accuracyFor(bases, labels, thresholds) {
+    const config = { reliabilityThresholds: thresholds };
+    let correct = 0;
+    bases.forEach((basis, i) => {
+        if (basis !== null && getReliabilityLevel(basis, config) === labels[i]) correct++;
+    });
+    return correct;
+}
+
+// Coordinate ascent on the four reliability cut-offs, keeping them in descending order
+function fitThresholds(bases, labels, initial) {
+    const thresholds = { ...initial };
+    const levels = RELIABILITY_LEVELS.slice(0, -1);
+    let best = accuracyFor(bases, labels, thresholds);
+
+    for (let pass = 0; pass < FIT_PASSES; pass++) {
+        levels.forEach((level, i) => {
+            const upper = i > 0 ? thresholds[levels[i - 1]] : THRESHOLD_RANGE.max;
+            const lower = i < levels.length - 1 ? thresholds[levels[i + 1]] : THRESHOLD_RANGE.min;
+
+            for (let value = lower; value <= upper; value++) {
+                const candidate = { ...thresholds, [level]: value };
+                const score = accuracyFor(bases, labels, candidate);
+                if (score > best) {
+                    best = score;
+                    thresholds[level] = value;
+                }
+            }
+        });
+    }
+
+    return { thresholds, correct: best };
+}
+
+// An item left without any weighted analyzer counts as the worst possible miss
+function squaredError(samples, config) {
+    return samples.reduce((sum, { item, features }) => {
+        const { credibilityScore } = predict(features, config);
+        if (credibilityScore === null) return sum + 100 * 100;
+        return sum + Math.pow(credibilityScore - LABEL_TARGET_SCORES[item.label], 2);
+    }, 0);
+}
+
+// Fit analyzer weights, zero-shot label weights and reliability thresholds to the labelled samples
+function fitScoringConfig(samples, baseConfig = getScoringConfig()) {
+    const usable = samples.filter(sample => sample.features);
+    const config = JSON.parse(JSON.stringify(baseConfig));
+
+    // 1. Analyzer weights: coordinate descent on squared error against each label's target score
+    const analyzerNames = [...new Set(usable.flatMap(({ features }) => Object.keys(features.analyzers)))];
+    analyzerNames.forEach(name => {
+        if (config.analyzerWeights[name] === undefined) {
+            const sample = usable.find(({ features }) => features.analyzers[name]);
+            config.analyzerWeights[name] = sample.features.analyzers[name].weight;
+        }
+    });
+
+    for (let pass = 0; pass < FIT_PASSES; pass++) {
+        analyzerNames.forEach(name => {
+            let bestWeight = config.analyzerWeights[name];
+            let bestError = squaredError(usable, config);
+
+            for (let weight = 0; weight <= 1 + 1e-9; weight += WEIGHT_STEP) {
+                const rounded = Math.round(weight * 100) / 100;
+                const error = squaredError(usable, {
+                    ...config,
+                    analyzerWeights: { ...config.analyzerWeights, [name]: rounded }
+                });
+                if (error < bestError) {
+                    bestError = error;
+                    bestWeight = rounded;
+                }
+            }
+
+            config.analyzerWeights[name] = bestWeight;
+        });
+    }
+
+    // 2. Zero-shot label weights and thresholds, searched together since the thresholds apply to the weighted score
+    const labels = usable.map(({ item }) => item.label);
+    const hasFacts = usable.some(({ features }) => features.facts);
+    const labelWeightGrid = hasFacts ? LABEL_WEIGHT_GRID : [null];
+    let best = null;
+
+    labelWeightGrid.forEach(misleading => {
+        labelWeightGrid.forEach(falseWeight => {
+            const candidate = misleading === null ? config : {
+                ...config,
+                credibility: {
+                    ...config.credibility,
+                    labelWeights: { ...config.credibility.labelWeights, misleading, false: falseWeight }
+                }
+            };
+            const bases = usable.map(({ features }) => predict(features, candidate).basis);
+            const { thresholds, correct } = fitThresholds(bases, labels, config.reliabilityThresholds);
+
+            if (!best || correct > best.correct) {
+                best = { correct, config: { ...candidate, reliabilityThresholds: thresholds } };
+            }
+        });
+    });
+
+    return best ? best.config : config;
+}
+
+module.exports = {
+    LABEL_TARGET_SCORES,
+    parseDataset,
+    replayProviders,
+    recordResponses,
+    extractFeatures,
+    predict,
+    computeMetrics,
+    fitThresholds,
+    fitScoringConfig
+};
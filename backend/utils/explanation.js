@@ -0,0 +1,216 @@
+const { scoreContentFactors } = require('./heuristics');
+const { getScoringConfig } = require('./scoring');
+
+// How each content signal reads in the summary
+const FACTOR_PHRASES = {
+    length: 'article-length detail',
+    complexity: 'detailed language',
+    citations: 'multiple citations',
+    quotes: 'direct quotes',
+    dates: 'specific dates',
+    statistics: 'statistics'
+};
+
+const NEWS_VERDICT_SENTENCES = {
+    'REAL': 'Closely matching news coverage was found.',
+    'POTENTIALLY FAKE': 'Related news coverage disputes it.',
+    'NO COVERAGE FOUND': 'No closely matching news coverage was found.'
+};
+
+// Analyzer-specific breakdowns of how a score was reached, keyed by analyzer name
+const ANALYZER_BREAKDOWNS = {
+    huggingface: (details, config) => ({
+        offset: config.credibility.offset,
+        rawCredibilityScore: details.rawCredibilityScore,
+        labels: details.labelContributions
+    }),
+    heuristic: (details) => ({
+        baseScore: details.baseScore,
+        sourceBonus: details.sourceBonus,
+        factorBonus: scoreContentFactors(details.factors).reduce((sum, { bonus }) => sum + bonus, 0)
+    })
+};
+
+function round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// "a", "a and b", "a, b and c"
+function listPhrase(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+function analyzeReliabilityFactors(verificationResult) {
+    return {
+        primaryLabel: verificationResult.labels[0],
+        primaryScore: verificationResult.scores[0],
+        allLabels: verificationResult.labels,
+        allScores: verificationResult.scores
+    };
+}
+
+function analyzeAuthenticityFactors(credibilityScore, truthScore) {
+    return {
+        credibilityContribution: credibilityScore,
+        truthContribution: truthScore,
+        overallScore: Math.round((credibilityScore + truthScore) / 2)
+    };
+}
+
+// Each analyzer's share of the combined score, mirroring combineScores
+function explainAnalyzers(results, config) {
+    const counts = ({ status, weight, scores }) => status === 'ok' && weight > 0 && typeof scores.credibilityScore === 'number';
+    const totalWeight = Object.values(results).filter(counts).reduce((sum, { weight }) => sum + weight, 0);
+
+    return Object.entries(results).map(([name, result]) => {
+        if (result.status !== 'ok') {
+            return { name, status: result.status, weight: result.weight, reason: result.reason };
+        }
+
+        const share = counts(result) ? result.weight / totalWeight : 0;
+        const breakdown = ANALYZER_BREAKDOWNS[name];
+
+        return {
+            name,
+            status: result.status,
+            weight: result.weight,
+            credibilityScore: result.scores.credibilityScore,
+            share: round(share, 2),
+            points: round(result.scores.credibilityScore * share, 1),
+            ...(breakdown ? { breakdown: breakdown(result.details, config) } : {})
+        };
+    });
+}
+
+function explainNewsCoverage(result) {
+    if (!result || result.status !== 'ok') return null;
+
+    return {
+        verdict: result.details.verdict,
+        isVerified: result.details.isVerified,
+        confidence: result.details.confidence,
+        matchedArticles: result.details.matchedArticles.length,
+        factCheck: result.details.decidingFactCheck || null,
+        weight: result.weight
+    };
+}
+
+function summarize({ credibilityScore, reliability, reliabilityFactors, analyzers, sourceReputation, manipulation, contentFactors, entityCheck, newsCoverage }) {
+    const sentences = [`Rated "${reliability.label}" with a credibility score of ${credibilityScore}/100.`];
+
+    if (reliabilityFactors) {
+        sentences.push(`The classifier found the text most likely ${reliabilityFactors.primaryLabel} (${reliabilityFactors.primaryScore}%).`);
+    }
+
+    const counted = analyzers.filter(analyzer => analyzer.share > 0).sort((a, b) => b.share - a.share);
+    if (counted.length > 0) {
+        sentences.push(`The score combines ${listPhrase(counted.map(analyzer =>
+            `${analyzer.name} (${analyzer.credibilityScore}/100, ${Math.round(analyzer.share * 100)}% of the weight)`
+        ))}.`);
+    }
+
+    if (sourceReputation.adjustment > 0) {
+        sentences.push(`Sources with a good reputation added ${sourceReputation.adjustment} points.`);
+    } else if (sourceReputation.adjustment < 0) {
+        sentences.push(`Sources with a poor reputation took off ${-sourceReputation.adjustment} points.`);
+    } else if (sourceReputation.matchedSources === 0) {
+        sentences.push('None of the cited sources has a known reputation.');
+    }
+
+    if (manipulation.adjustment < 0) {
+        sentences.push(`Signs of manipulation (${listPhrase(manipulation.signals.map(signal => signal.label))}) took off ${-manipulation.adjustment} points.`);
+    }
+
+    const signals = contentFactors.factors.filter(factor => factor.bonus > 0).map(factor => FACTOR_PHRASES[factor.factor]);
+    if (signals.length > 0 && contentFactors.countsTowardsScore) {
+        sentences.push(`The text includes ${listPhrase(signals)}, which raised the heuristic score.`);
+    } else if (signals.length > 0) {
+        sentences.push(`The text includes ${listPhrase(signals)}, which doesn't affect the score in this mode.`);
+    }
+
+    if (entityCheck && entityCheck.contradictions.length > 0) {
+        const facts = [...new Set(entityCheck.contradictions.map(check => `the ${check.attribute} of ${check.entity}`))];
+        sentences.push(`It contradicts our reference data on ${listPhrase(facts)}.`);
+    }
+
+    // When a fact-check of the same claim decided the news verdict, name it instead
+    if (newsCoverage && newsCoverage.factCheck) {
+        const { publisher, rating } = newsCoverage.factCheck;
+        sentences.push(`A fact-check by ${publisher || 'a fact-checker'} rated a matching claim "${rating}".`);
+    } else if (newsCoverage) {
+        sentences.push(NEWS_VERDICT_SENTENCES[newsCoverage.verdict]);
+    }
+
+    const failed = analyzers.filter(analyzer => analyzer.status !== 'ok').map(analyzer => analyzer.name);
+    if (failed.length > 0) {
+        sentences.push(`${failed.length > 1 ? 'Analyzers' : 'Analyzer'} ${listPhrase(failed)} failed, so confidence is lower.`);
+    }
+
+    return sentences.join(' ');
+}
+
+// Break a check's combined credibility score down into what contributed to it
+function buildExplanation({
+    results,
+    combined,
+    credibilityScore,
+    truthScore,
+    reliability,
+    verificationResult,
+    sourceReputation,
+    manipulation,
+    entityAnalysis,
+    contentFactors,
+    config = getScoringConfig()
+}) {
+    const analyzers = explainAnalyzers(results, config);
+    const heuristic = analyzers.find(analyzer => analyzer.name === 'heuristic');
+    const factors = scoreContentFactors(contentFactors);
+
+    const explanation = {
+        score: {
+            analyzers: combined.credibilityScore,
+            sourceAdjustment: sourceReputation.adjustment,
+            manipulationAdjustment: manipulation.adjustment,
+            total: credibilityScore
+        },
+        reliability: {
+            label: reliability.label,
+            basis: reliability.basis,
+            thresholds: config.reliabilityThresholds
+        },
+        reliabilityFactors: verificationResult ? analyzeReliabilityFactors(verificationResult) : null,
+        authenticity: analyzeAuthenticityFactors(credibilityScore, truthScore),
+        analyzers,
+        // The content signals only move the score through the heuristic analyzer
+        contentFactors: {
+            factors,
+            totalBonus: factors.reduce((sum, { bonus }) => sum + bonus, 0),
+            countsTowardsScore: Boolean(heuristic && heuristic.share > 0)
+        },
+        sourceReputation,
+        manipulation: {
+            adjustment: manipulation.adjustment,
+            signals: manipulation.signals.map(({ signal, label, count, penalty }) => ({ signal, label, count, penalty }))
+        },
+        // Reported only; contradictions don't change the score
+        entityCheck: entityAnalysis ? {
+            checked: entityAnalysis.checks.length,
+            contradictions: entityAnalysis.checks
+                .filter(check => check.status === 'contradicted')
+                .map(({ entity, attribute, kind, expected, claimed }) => ({ entity, attribute, kind, expected, claimed: claimed.text }))
+        } : null,
+        newsCoverage: explainNewsCoverage(results.newsapi)
+    };
+
+    explanation.summary = summarize({ credibilityScore, ...explanation });
+
+    return explanation;
+}
+
+module.exports = {
+    analyzeReliabilityFactors,
+    analyzeAuthenticityFactors,
+    buildExplanation
+};
@@ -0,0 +1,132 @@
+const PDFDocument = require('pdfkit');
+const { excerpt } = require('./nearDuplicates');
+
+// Square, to post as is
+const CARD_SIZE = 600;
+const MARGIN = 36;
+const WIDTH = CARD_SIZE - 2 * MARGIN;
+
+const CARD_ARTICLES = 3;
+
+const COLORS = {
+    text: '#1f2933',
+    muted: '#616e7c',
+    track: '#e4e7eb',
+    background: '#ffffff'
+};
+
+const RELIABILITY_COLORS = {
+    'highly reliable': '#1b873f',
+    'reliable': '#3f9142',
+    'moderately reliable': '#c98a04',
+    'somewhat unreliable': '#d9622b',
+    'unreliable': '#c52a1a'
+};
+
+const VERDICT_LINES = {
+    'REAL': 'News coverage corroborates this',
+    'POTENTIALLY FAKE': 'News coverage or fact-checkers dispute this',
+    'NO COVERAGE FOUND': 'No matching news coverage found'
+};
+
+// PDF's built-in fonts only cover Latin text. Set CARD_FONT_PATH (and CARD_BOLD_FONT_PATH) to
+// TrueType fonts with wider coverage, e.g. Noto Sans Devanagari, to render Hindi content.
+const FONTS = {
+    regular: process.env.CARD_FONT_PATH || 'Helvetica',
+    bold: process.env.CARD_BOLD_FONT_PATH || process.env.CARD_FONT_PATH || 'Helvetica-Bold'
+};
+
+// Characters the built-in fonts can't draw are replaced rather than printed as garbage
+function printable(text) {
+    const value = text === null || text === undefined ? '' : String(text);
+    return process.env.CARD_FONT_PATH ? value : value.replace(/[^\u0000-\u00ff\u2018\u2019\u201c\u201d\u2013\u2014\u2026\u2022\u20ac]/g, '?');
+}
+
+function formatTimestamp(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function drawScoreBar(doc, label, score, y, color) {
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted).text(label, MARGIN, y);
+    doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.text)
+        .text(typeof score === 'number' ? `${score}/100` : 'n/a', MARGIN, y, { width: WIDTH, align: 'right' });
+
+    const barY = y + 16;
+    doc.roundedRect(MARGIN, barY, WIDTH, 8, 4).fill(COLORS.track);
+    if (typeof score === 'number' && score > 0) {
+        doc.roundedRect(MARGIN, barY, Math.max(8, WIDTH * Math.min(score, 100) / 100), 8, 4).fill(color);
+    }
+    return barY + 22;
+}
+
+// Render a stored report as a one-page, shareable fact-check card. Returns the PDFKit document,
+// a readable stream that is already ended and can be piped straight to a response.
+function renderFactCheckCard(report, { reportUrl } = {}) {
+    const doc = new PDFDocument({
+        size: [CARD_SIZE, CARD_SIZE],
+        // No bottom margin, so the footer doesn't spill onto a second page
+        margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: 0 },
+        info: { Title: 'TruthGuard fact-check', Creator: 'TruthGuard' }
+    });
+
+    const label = report.reliability || 'unrated';
+    const color = RELIABILITY_COLORS[label] || COLORS.muted;
+    const metrics = report.combinedMetrics || {};
+    const news = report.newsVerification;
+
+    doc.rect(0, 0, CARD_SIZE, CARD_SIZE).fill(COLORS.background);
+    doc.rect(0, 0, CARD_SIZE, 8).fill(color);
+
+    // Header: who made the card and when the check ran
+    doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.muted).text('TRUTHGUARD FACT-CHECK', MARGIN, MARGIN);
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted)
+        .text(`Checked ${formatTimestamp(report.timestamp)}`, MARGIN, MARGIN + 2, { width: WIDTH, align: 'right' });
+
+    // The claim
+    doc.font(FONTS.regular).fontSize(15).fillColor(COLORS.text)
+        .text(`“${printable(excerpt(report.content || ''))}”`, MARGIN, MARGIN + 34, { width: WIDTH, height: 150, ellipsis: true });
+
+    // Verdict badge
+    let y = Math.max(doc.y, MARGIN + 110) + 18;
+    doc.font(FONTS.bold).fontSize(18);
+    const badge = printable(label.toUpperCase());
+    const badgeWidth = doc.widthOfString(badge) + 28;
+    doc.roundedRect(MARGIN, y, badgeWidth, 34, 6).fill(color);
+    doc.fillColor('#ffffff').text(badge, MARGIN + 14, y + 9, { lineBreak: false });
+    y += 52;
+
+    y = drawScoreBar(doc, 'Credibility score', metrics.credibilityScore, y, color);
+    y = drawScoreBar(doc, 'Truth score', metrics.truthScore, y, color);
+
+    // What the news sources said
+    if (news && news.verdict) {
+        y += 6;
+        doc.font(FONTS.bold).fontSize(11).fillColor(COLORS.text).text(VERDICT_LINES[news.verdict] || news.verdict, MARGIN, y, { width: WIDTH });
+        y = doc.y + 4;
+
+        (news.matchedArticles || []).slice(0, CARD_ARTICLES).forEach(article => {
+            const source = article.rating ? `${article.source || 'Fact-check'} rated it "${article.rating}"` : article.source;
+            doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text)
+                .text(`• ${printable(article.title)}`, MARGIN, y, { width: WIDTH, height: 26, ellipsis: true });
+            if (source) {
+                doc.fontSize(9).fillColor(COLORS.muted).text(printable(source), MARGIN + 8, doc.y, { width: WIDTH - 8, lineBreak: false, ellipsis: true });
+            }
+            y = doc.y + 6;
+        });
+    }
+
+    // Footer
+    doc.font(FONTS.regular).fontSize(8).fillColor(COLORS.muted)
+        .text(
+            printable(reportUrl ? `Full report: ${reportUrl}` : `Report ${report._id}`),
+            MARGIN, CARD_SIZE - MARGIN - 10, { width: WIDTH, lineBreak: false, ellipsis: true }
+        );
+
+    doc.end();
+    return doc;
+}
+
+module.exports = {
+    renderFactCheckCard
+};
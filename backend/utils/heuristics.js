@@ -0,0 +1,295 @@
+// Local, network-free text heuristics used to score content
+
+const { getLanguagePack } = require('./languages');
+
+// `options.domain` is the publisher domain of a fetched article, recorded as a source ahead of any in the text;
+// `options.language` picks the pattern set (English by default)
+const extractNewsSource = (content, options = {}) => {
+    const { sourcePatterns, sourceNoise } = getLanguagePack(options.language);
+
+    let sources = [];
+    const processedSources = new Set(); // To avoid duplicates
+
+    if (options.domain) {
+        processedSources.add(options.domain.toLowerCase());
+        sources.push({
+            name: options.domain,
+            type: 'Publisher Domain',
+            confidence: 'Medium'
+        });
+    }
+
+    sourcePatterns.forEach(({ pattern, type }) => {
+        const matches = content.matchAll(pattern);
+        for (const match of matches) {
+            let source = '';
+            if (type === 'Major News Agency') {
+                source = match[0];
+            } else if (type === 'News Website') {
+                source = match[0];
+            } else {
+                // For patterns with capturing groups
+                source = match[1] || match[0];
+            }
+            
+            // Clean up the source text
+            source = source.replace(/^[\s,."']+|[\s,."']+$/g, '') // Remove punctuation and spaces
+                         .replace(sourceNoise, '')
+                         .trim();
+
+            // Only add if it's not already processed and not empty
+            if (source && !processedSources.has(source.toLowerCase())) {
+                processedSources.add(source.toLowerCase());
+                sources.push({ 
+                    name: source,
+                    type: type,
+                    confidence: type === 'Major News Agency' ? 'High' : 
+                              type === 'Official Source' ? 'High' :
+                              type === 'News Website' ? 'Medium' : 'Low'
+                });
+            }
+        }
+    });
+
+    // Sort sources by confidence
+    sources.sort((a, b) => {
+        const confidenceOrder = { 'High': 3, 'Medium': 2, 'Low': 1 };
+        return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
+    });
+
+    return sources;
+};
+
+// Helper functions for enhanced analysis
+function analyzeContentFactors(content, language) {
+    return {
+        length: content.length,
+        complexity: calculateTextComplexity(content, language),
+        citations: countCitations(content, language),
+        quotes: extractQuotes(content),
+        dates: extractDates(content, language),
+        statistics: hasStatistics(content, language)
+    };
+}
+
+function calculateTextComplexity(text, language) {
+    // Basic implementation of text complexity calculation
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    const sentences = text.split(/[.!?।]+/).filter(sentence => sentence.length > 0);
+    const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / words.length;
+    const avgSentenceLength = words.length / sentences.length;
+    
+    // Complexity factors:
+    // 1. Average word length (longer words = more complex)
+    // 2. Average sentence length (longer sentences = more complex)
+    // 3. Presence of technical/complex words
+    const complexWords = (text.match(getLanguagePack(language).complexWordPattern) || []).length;
+    
+    // Calculate complexity score (0-1)
+    const lengthScore = Math.min(avgWordLength / 8, 1) * 0.3;
+    const sentenceScore = Math.min(avgSentenceLength / 25, 1) * 0.3;
+    const complexityScore = Math.min(complexWords / (words.length * 0.1), 1) * 0.4;
+    
+    return lengthScore + sentenceScore + complexityScore;
+}
+
+// Each content signal's bonus towards the credibility score, with whether the content earned it
+function scoreContentFactors(factors) {
+    return [
+        // Longer content tends to be more reliable
+        { factor: 'length', value: factors.length, bonus: factors.length > 1000 ? 5 : 0 },
+        // More complex writing often indicates expertise
+        { factor: 'complexity', value: Math.round(factors.complexity * 100) / 100, bonus: factors.complexity > 0.7 ? 5 : 0 },
+        { factor: 'citations', value: factors.citations, bonus: factors.citations > 2 ? 5 : 0 },
+        { factor: 'quotes', value: factors.quotes.length, bonus: factors.quotes.length > 0 ? 5 : 0 },
+        { factor: 'dates', value: factors.dates.length, bonus: factors.dates.length > 0 ? 5 : 0 },
+        { factor: 'statistics', value: factors.statistics, bonus: factors.statistics ? 5 : 0 }
+    ];
+}
+
+function adjustScoreByFactors(score, factors) {
+    const adjustment = scoreContentFactors(factors).reduce((sum, { bonus }) => sum + bonus, 0);
+
+    return Math.max(0, Math.min(100, score + adjustment));
+}
+
+function countCitations(content, language) {
+    const { citationPatterns } = getLanguagePack(language);
+
+    return citationPatterns.reduce((count, pattern) => {
+        const matches = content.match(pattern);
+        return count + (matches ? matches.length : 0);
+    }, 0);
+}
+
+// Quoted passages with their character offsets in the content
+function findQuotes(content) {
+    const quotes = [];
+    const patterns = [
+        /"([^"]+)"/g,  // "quote"
+        /'([^']+)'/g,  // 'quote'
+        /"([^"]+)"/g,  // "quote"
+        /'([^']+)'/g   // 'quote'
+    ];
+
+    patterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            quotes.push({
+                text: match[1],
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    });
+
+    return quotes;
+}
+
+function extractQuotes(content) {
+    return findQuotes(content).map(quote => quote.text);
+}
+
+// Devanagari digits as ASCII; each is one UTF-16 unit, so character offsets don't move
+function toAsciiDigits(text) {
+    return text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+function isoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// A matched date as YYYY-MM-DD, or null if it isn't a real calendar date
+function parseDate(text, language) {
+    const { numericDateOrder, monthNames } = getLanguagePack(language);
+    const value = toAsciiDigits(text);
+
+    let match = value.match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = value.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (match) {
+        const [first, second, year] = match.slice(1).map(Number);
+        // Two-digit years are taken to be this century
+        const fullYear = match[3].length === 2 ? 2000 + year : year;
+        return numericDateOrder === 'dmy' ? isoDate(fullYear, second, first) : isoDate(fullYear, first, second);
+    }
+
+    const lower = value.toLowerCase();
+    const month = Object.entries(monthNames).find(([name]) => lower.includes(name));
+    const year = value.match(/\d{4}/);
+    const day = value.replace(/\d{4}/, '').match(/\d{1,2}/);
+    return month && year && day ? isoDate(Number(year[0]), month[1], Number(day[0])) : null;
+}
+
+// Dates with their character offsets in the content and, where they parse, their YYYY-MM-DD value
+function findDates(content, language) {
+    const { datePatterns } = getLanguagePack(language);
+
+    const dates = [];
+    datePatterns.forEach(pattern => {
+        for (const match of content.matchAll(pattern)) {
+            dates.push({
+                text: match[0],
+                value: parseDate(match[0], language),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    });
+
+    return dates;
+}
+
+function extractDates(content, language) {
+    return findDates(content, language).map(date => date.text);
+}
+
+const numberPatterns = new Map();
+
+// Figures such as "1.4 billion", "12,50,000", "45%" or "3 करोड़", built once per language
+function getNumberPattern(language) {
+    const pack = getLanguagePack(language);
+    if (!numberPatterns.has(pack.code)) {
+        const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const scales = [...pack.percentWords, ...Object.keys(pack.numberMagnitudes)]
+            .sort((a, b) => b.length - a.length)
+            .map(escape);
+        numberPatterns.set(pack.code, new RegExp(
+            `(?<![\\p{L}\\p{N}.,])(\\d{1,3}(?:,\\d{2,3})+|\\d+)(\\.\\d+)?(?:\\s?(${scales.join('|')})(?![\\p{L}\\p{M}]))?`,
+            'giu'
+        ));
+    }
+    return numberPatterns.get(pack.code);
+}
+
+// Figures with their character offsets and numeric value; percentages have `unit: '%'`
+function findNumbers(content, language) {
+    const { numberMagnitudes, percentWords } = getLanguagePack(language);
+    const text = toAsciiDigits(content);
+
+    return [...text.matchAll(getNumberPattern(language))].map(match => {
+        const scale = match[3] && match[3].toLowerCase();
+        const isPercent = Boolean(scale) && percentWords.includes(scale);
+        const base = Number(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+
+        return {
+            text: content.slice(match.index, match.index + match[0].length),
+            value: isPercent || !scale ? base : base * numberMagnitudes[scale],
+            unit: isPercent ? '%' : null,
+            // Bare whole numbers could be years or counts; the caller decides from context
+            plain: !scale && !match[2] && !match[1].includes(','),
+            start: match.index,
+            end: match.index + match[0].length
+        };
+    });
+}
+
+function hasStatistics(content, language) {
+    // search() ignores lastIndex, which the shared global patterns would otherwise carry between calls
+    return getLanguagePack(language).statPatterns.some(pattern => content.search(pattern) !== -1);
+}
+
+// Credibility bonus for the strongest identifiable source
+const SOURCE_CONFIDENCE_BONUS = { 'High': 10, 'Medium': 5, 'Low': 0 };
+
+// Starting point before factor and source adjustments
+const HEURISTIC_BASE_SCORE = 40;
+
+// Credibility score from the text heuristics alone, for use without any upstream API
+function scoreHeuristics(content, language) {
+    const factors = analyzeContentFactors(content, language);
+    const sources = extractNewsSource(content, { language });
+    const primarySource = sources.length > 0 ? sources[0] : null;
+
+    const sourceBonus = primarySource ? SOURCE_CONFIDENCE_BONUS[primarySource.confidence] : 0;
+    const credibilityScore = adjustScoreByFactors(HEURISTIC_BASE_SCORE + sourceBonus, factors);
+
+    return {
+        credibilityScore,
+        baseScore: HEURISTIC_BASE_SCORE,
+        sourceBonus,
+        factors,
+        sources
+    };
+}
+
+module.exports = {
+    extractNewsSource,
+    analyzeContentFactors,
+    calculateTextComplexity,
+    scoreContentFactors,
+    adjustScoreByFactors,
+    countCitations,
+    findQuotes,
+    extractQuotes,
+    toAsciiDigits,
+    parseDate,
+    findDates,
+    extractDates,
+    findNumbers,
+    hasStatistics,
+    scoreHeuristics
+};
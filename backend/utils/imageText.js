@@ -0,0 +1,234 @@
+const { createWorker } = require('tesseract.js');
+const retryWithTimeout = require('./retryWithTimeout');
+const { SUPPORTED_LANGUAGES, getLanguagePack } = require('./languages');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+// Tesseract decodes the whole bitmap, so a small, highly compressed image with huge dimensions
+// costs far more memory than its size suggests
+const MAX_IMAGE_PIXELS = 25 * 1000 * 1000;
+const OCR_TIMEOUT = Number(process.env.OCR_TIMEOUT_MS) || 60000;
+
+// Formats Tesseract can read, recognised by their leading bytes rather than the client's say-so
+const IMAGE_SIGNATURES = [
+    { type: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/jpeg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { type: 'image/gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+    { type: 'image/webp', matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    { type: 'image/bmp', matches: (buffer) => buffer.toString('latin1', 0, 2) === 'BM' },
+    { type: 'image/tiff', matches: (buffer) => ['II*\u0000', 'MM\u0000*'].includes(buffer.toString('latin1', 0, 4)) }
+];
+
+class ImageTextError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'ImageTextError';
+        this.status = status;
+    }
+}
+
+function detectImageType(buffer) {
+    const signature = IMAGE_SIGNATURES.find(({ matches }) => buffer.length >= 12 && matches(buffer));
+    return signature ? signature.type : null;
+}
+
+// A base64 image from a JSON body, either bare or as a data: URL
+function decodeBase64Image(value) {
+    if (typeof value !== 'string') {
+        throw new ImageTextError('image must be a base64 string or data URL', 400);
+    }
+
+    const base64 = value.replace(/^data:[\w/+.-]+;base64,/, '').replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+        throw new ImageTextError('image is not valid base64', 400);
+    }
+    return Buffer.from(base64, 'base64');
+}
+
+// JPEG start-of-frame markers, which carry the dimensions; C4, C8 and CC are other segments
+function isStartOfFrame(marker) {
+    return marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+}
+
+function jpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+        } else if (isStartOfFrame(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+            offset += 2;
+        } else {
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+function webpDimensions(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+function tiffDimensions(buffer) {
+    const little = buffer.toString('latin1', 0, 2) === 'II';
+    const read16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const read32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    const ifd = read32(4);
+    const dimensions = {};
+    for (let i = 0; i < read16(ifd); i++) {
+        const entry = ifd + 2 + i * 12;
+        const tag = read16(entry);
+        // SHORT or LONG values
+        const value = read16(entry + 2) === 3 ? read16(entry + 8) : read32(entry + 8);
+        if (tag === 256) dimensions.width = value;
+        if (tag === 257) dimensions.height = value;
+    }
+    return dimensions.width && dimensions.height ? dimensions : null;
+}
+
+// Width and height from the image header, without decoding it; null if the header can't be read
+const DIMENSION_READERS = {
+    'image/png': (buffer) => ({ width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }),
+    'image/gif': (buffer) => ({ width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }),
+    'image/bmp': (buffer) => (buffer.readUInt32LE(14) === 12
+        ? { width: buffer.readUInt16LE(18), height: buffer.readUInt16LE(20) }
+        : { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) }),
+    'image/jpeg': jpegDimensions,
+    'image/webp': webpDimensions,
+    'image/tiff': tiffDimensions
+};
+
+function imageDimensions(buffer, type) {
+    try {
+        return DIMENSION_READERS[type](buffer);
+    } catch (error) {
+        // Truncated headers read past the end of the buffer
+        return null;
+    }
+}
+
+function validateImage(buffer) {
+    if (buffer.length > MAX_IMAGE_SIZE) {
+        throw new ImageTextError(`image must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`, 413);
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new ImageTextError(`image must be one of: ${IMAGE_SIGNATURES.map(signature => signature.type).join(', ')}`, 415);
+    }
+
+    const dimensions = imageDimensions(buffer, type);
+    if (!dimensions) {
+        throw new ImageTextError('Could not read the image dimensions');
+    }
+    if (dimensions.width * dimensions.height > MAX_IMAGE_PIXELS) {
+        throw new ImageTextError(`image must be at most ${MAX_IMAGE_PIXELS / 1000000} megapixels`, 413);
+    }
+    return type;
+}
+
+// Tesseract language string for a requested language, or every supported one when it isn't known yet
+function ocrLanguages(language) {
+    const codes = language ? [language] : SUPPORTED_LANGUAGES;
+    const traineddata = codes.flatMap(code => getLanguagePack(code).ocrLanguage.split('+'));
+    return [...new Set(traineddata)].join('+');
+}
+
+// Starting a worker loads the language data, so keep one per language set for the process.
+// The gzipped traineddata is read from TESSERACT_LANG_PATH rather than downloaded, so OCR runs locally;
+// it's cached in the working directory unless TESSERACT_CACHE_PATH says otherwise.
+const workers = new Map();
+
+function startWorker(languages) {
+    return new Promise((resolve, reject) => {
+        // Without an error handler the worker throws failures uncaught, and with one a failed
+        // language load never settles createWorker's promise, so the handler settles it instead.
+        // Later job failures still reject their own promises.
+        createWorker(languages, undefined, {
+            errorHandler: (error) => reject(new Error(String(error).replace(/^Error: /, ''))),
+            langPath: process.env.TESSERACT_LANG_PATH,
+            ...(process.env.TESSERACT_CACHE_PATH ? { cachePath: process.env.TESSERACT_CACHE_PATH } : {})
+        }).then(resolve, reject);
+    });
+}
+
+function getWorker(languages) {
+    if (!workers.has(languages)) {
+        workers.set(languages, startWorker(languages).catch(error => {
+            // Let the next request try again rather than keep the failed start
+            workers.delete(languages);
+            throw error;
+        }));
+    }
+    return workers.get(languages);
+}
+
+// Recognition can't be cancelled, so a timed-out job's worker is terminated to free the CPU,
+// and the next request starts a fresh one
+function stopWorker(languages, worker) {
+    if (workers.get(languages) === worker) workers.delete(languages);
+    worker.then(started => started.terminate()).catch(() => {});
+}
+
+// Read the text of an uploaded image, e.g. a screenshot of a post or a forwarded message.
+// Confidence is Tesseract's mean word confidence, 0-100.
+async function extractImageText(buffer, { language } = {}) {
+    const type = validateImage(buffer);
+    if (!process.env.TESSERACT_LANG_PATH) {
+        throw new ImageTextError('Image checks are not configured: set TESSERACT_LANG_PATH', 503);
+    }
+    const languages = ocrLanguages(language);
+
+    let data;
+    try {
+        // One attempt: a timed-out job's worker is stopped rather than retried
+        data = await retryWithTimeout((signal) => new Promise((resolve, reject) => {
+            const worker = getWorker(languages);
+            signal.addEventListener('abort', () => {
+                reject(new Error('OCR timed out'));
+                stopWorker(languages, worker);
+            });
+            worker
+                .then(started => started.recognize(buffer))
+                .then(({ data }) => resolve(data), reject);
+        }), 1, OCR_TIMEOUT);
+    } catch (error) {
+        // The worker rejects with bare strings as well as Errors
+        throw new ImageTextError(`Could not read the image: ${error.message || error}`, 502);
+    }
+
+    const text = (data.text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text) {
+        throw new ImageTextError('No text found in the image');
+    }
+
+    return {
+        text,
+        confidence: Math.round(data.confidence),
+        imageType: type,
+        ocrLanguages: languages
+    };
+}
+
+module.exports = {
+    MAX_IMAGE_SIZE,
+    MAX_IMAGE_PIXELS,
+    ImageTextError,
+    detectImageType,
+    decodeBase64Image,
+    extractImageText
+};
@@ -0,0 +1,170 @@
+// English pattern sets for the text heuristics, NewsAPI and zero-shot classification
+module.exports = {
+    code: 'en',
+    name: 'English',
+    newsApiLanguage: 'en',
+    // Tesseract traineddata used to read screenshots
+    ocrLanguage: 'eng',
+
+    sourcePatterns: [
+        // Major news agencies and websites
+        {
+            pattern: /\b(Reuters|Associated Press|AP|AFP|BBC News|CNN|Fox News|MSNBC|Al Jazeera|The New York Times|Washington Post|The Guardian|USA Today|Wall Street Journal|Bloomberg|NPR|CBC News|NBC News|ABC News|CBS News)\b/gi,
+            type: 'Major News Agency'
+        },
+        // Social media platforms with better context
+        {
+            pattern: /(?:reported|posted|shared|announced|stated|published|revealed|according to sources?) (?:on|via|through|in) (Twitter|Facebook|Instagram|LinkedIn|YouTube|TikTok|X|Thread)/gi,
+            type: 'Social Media'
+        },
+        // News websites
+        {
+            pattern: /(www\.|https?:\/\/)?([a-zA-Z0-9-]+\.)*(news|com|org|gov|edu)(\/[^\s]*)?/gi,
+            type: 'News Website'
+        },
+        // Generic attribution patterns
+        {
+            pattern: /(?:according to|as reported by|sources from|cited by|confirmed by|stated by|revealed by|announced by) ([^,.]+)/gi,
+            type: 'Cited Source'
+        },
+        // Official sources
+        {
+            pattern: /(?:officials from|spokesperson for|representatives of|statement from) ([^,.]+)/gi,
+            type: 'Official Source'
+        },
+        // Local news sources
+        {
+            pattern: /(?:local|regional|city|county|state) (?:news|media|press|reports|sources) ([^,.]+)/gi,
+            type: 'Local News'
+        }
+    ],
+
+    // Attribution phrases stripped from a matched source name
+    sourceNoise: /(reported by|according to|sources from|reported on|posted on|via|through|in)/gi,
+
+    citationPatterns: [
+        /according to/gi,
+        /cited by/gi,
+        /reported by/gi,
+        /source:/gi,
+        /\[\d+\]/g,  // [1], [2], etc.
+        /\(\d{4}\)/g  // (2023), (2024), etc.
+    ],
+
+    datePatterns: [
+        /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g,  // MM/DD/YYYY
+        /\b\d{4}-\d{2}-\d{2}\b/g,           // YYYY-MM-DD
+        /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{1,2},? \d{4}\b/g  // Month DD, YYYY
+    ],
+
+    // Numeric dates read month first (03/04/2024 is March 4)
+    numericDateOrder: 'mdy',
+
+    // Month names by the prefix that identifies them
+    monthNames: {
+        jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+    },
+
+    // Words after a figure that scale it; Indian English counts in lakh and crore
+    numberMagnitudes: {
+        thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12, lakh: 1e5, lakhs: 1e5, crore: 1e7, crores: 1e7
+    },
+    percentWords: ['%', 'percent', 'per cent'],
+
+    // Clues to what kind of thing a capitalized name is
+    entityClues: {
+        personTitles: ['Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'President', 'Prime Minister', 'Chief Minister', 'Minister', 'Governor',
+            'Senator', 'Chancellor', 'King', 'Queen', 'Prince', 'Princess', 'Pope', 'Justice', 'Judge', 'General', 'CEO', 'Chairman'],
+        organizationWords: ['Inc', 'Ltd', 'LLC', 'Corp', 'Corporation', 'Company', 'Bank', 'University', 'College', 'Ministry',
+            'Department', 'Party', 'Council', 'Commission', 'Committee', 'Organization', 'Organisation', 'Association', 'Institute',
+            'Agency', 'Court', 'Parliament', 'Government', 'Board', 'Authority', 'Foundation', 'Federation', 'Union', 'Army', 'Police'],
+        placePrepositions: ['in', 'at', 'from', 'near', 'across', 'into']
+    },
+
+    // "since 2014", for when a current fact took effect
+    sincePattern: /\bsince\s+(?:(?:early|late|mid|[A-Za-z]+\s+\d{1,2},?|\d{1,2}\s+[A-Za-z]+)\s+)?(\d{4})\b/gi,
+
+    statPatterns: [
+        /\d+%/g,                   // Percentages
+        /\$\d+(?:\.\d{2})?/g,     // Dollar amounts
+        /\d+ (?:million|billion|trillion)/gi,  // Large numbers
+        /increased by|\bdecreased by|\bgrew by/gi,  // Trends
+        /statistics show|according to data|survey shows/gi  // Statistical references
+    ],
+
+    // Left out of news search keywords
+    stopwords: [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+        'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he',
+        'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'last', 'like',
+        'many', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'new', 'no', 'nor', 'not', 'now', 'of', 'off',
+        'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'said', 'same', 'says', 'she', 'should',
+        'since', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+        'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+        'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'year', 'years', 'yet', 'you', 'your',
+        'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'yesterday'
+    ],
+
+    // Coverage that disputes a story rather than reporting it
+    debunkPattern: /\b(?:fact[- ]check(?:ed|s)?|debunk(?:ed|s)?|hoax|fake|false(?:ly)?|misleading|no evidence|rumou?rs?|not true|misinformation|doctored)\b/i,
+
+    // Technical or complex words
+    complexWordPattern: /\b\w{10,}\b|\b(?:therefore|however|furthermore|consequently|nevertheless)\b/gi,
+
+    // Phrasing typical of manipulative forwards, by signal (ALL-CAPS and punctuation are script-level and not listed here)
+    manipulationPatterns: {
+        sensational: [
+            /\b(?:shocking|shocked|bombshell|explosive|jaw[- ]dropping|mind[- ]blowing|unbelievable|incredible|horrifying|outrageous|insane|miracle|miraculous|terrifying)\b/gi,
+            /\b(?:exposed|caught on camera|truth revealed)\b/gi
+        ],
+        clickbait: [
+            /\byou (?:won'?t|will not|wouldn'?t) believe\b/gi,
+            /\bwhat happen(?:s|ed) next\b/gi,
+            /\b(?:doctors|experts|scientists|banks) (?:hate|don'?t want you to know)\b/gi,
+            /\bthis (?:one )?(?:simple |weird |little )?trick\b/gi,
+            /\bnumber \d+ will (?:shock|surprise|amaze) you\b/gi,
+            /\b(?:the )?(?:real )?reason why [^.!?\n]{0,40} will (?:shock|surprise) you\b/gi,
+            /\b(?:they|the media|mainstream media) (?:don'?t|won'?t) (?:want you to know|tell you|show you)\b/gi,
+            /\bwatch (?:till|until|to) the end\b/gi
+        ],
+        urgency: [
+            /\bshare (?:this |it )?(?:before (?:it'?s|it is|they|this (?:is|gets))|as (?:much|many|fast) as (?:possible|you can)|with everyone)[^.!?\n]{0,30}/gi,
+            /\b(?:forward|send) (?:this |it )?to (?:everyone|all|every group|at least \d+)[^.!?\n]{0,20}/gi,
+            /\bbefore (?:it'?s|it is|this is|it gets) (?:deleted|removed|taken down|banned|censored)\b/gi,
+            /\b(?:urgent|act now|don'?t ignore|must (?:read|watch|share)|spread the word|last chance|time is running out)\b/gi
+        ],
+        loadedLanguage: [
+            /\b(?:traitors?|anti[- ]national|puppets?|sheeple|scum|thugs?|evil|corrupt elites?|globalists?|invaders?|propagandists?|brainwashed)\b/gi
+        ],
+        whataboutism: [
+            /\bwhat about (?:when|the|their|his|her|them)\b/gi,
+            /\b(?:where were you|why (?:didn'?t|did not|don'?t|do not) (?:they|you|the media) (?:say|speak|talk|complain|report))\b/gi,
+            /\b(?:but|yet) (?:nobody|no one) (?:talks|talked|complains|complained|says|said) (?:about|anything)\b/gi
+        ],
+        appealToFear: [
+            /\b(?:will (?:kill|destroy|poison|wipe out)|deadly|lethal|they are coming for|your (?:children|family|kids) (?:are|is|will be) (?:in danger|at risk|next))\b/gi,
+            /\b(?:before it'?s too late|if you don'?t act|you (?:could|will|might) be next)\b/gi
+        ]
+    },
+
+    zeroShot: {
+        contentTypePrompt: 'This text is:',
+        factPrompt: 'This content is:',
+        // Candidate label as sent to the classifier, keyed by the label the scoring uses
+        contentTypeLabels: {
+            'news article': 'news article',
+            'opinion piece': 'opinion piece',
+            'social media post': 'social media post',
+            'advertisement': 'advertisement',
+            'blog post': 'blog post'
+        },
+        factLabels: {
+            'factual': 'factual',
+            'misleading': 'misleading',
+            'false': 'false',
+            'opinion': 'opinion',
+            'unverified': 'unverified'
+        }
+    }
+};
@@ -0,0 +1,169 @@
+const en = require('./en');
+
+// Hindi in Devanagari and romanized (Hinglish) form. Hindi news copy mixes in English names,
+// dates and figures, so the English patterns are kept alongside the Hindi ones.
+
+// Word boundaries that also work for Devanagari, where \b doesn't
+const START = '(?<![\\p{L}\\p{M}])';
+const END = '(?![\\p{L}\\p{M}])';
+// ज़ can arrive precomposed or as ज plus a nukta
+const ZA = '(?:\\u095B|\\u091C\\u093C?)';
+
+function words(alternatives, flags = 'giu') {
+    return new RegExp(`${START}(?:${alternatives.join('|')})${END}`, flags);
+}
+
+const HINDI_MONTHS = ['जनवरी', 'फ़रवरी', 'फरवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त',
+    'सितंबर', 'सितम्बर', 'अक्टूबर', 'अक्तूबर', 'नवंबर', 'नवम्बर', 'दिसंबर', 'दिसम्बर'];
+
+module.exports = {
+    code: 'hi',
+    name: 'Hindi',
+    // NewsAPI has no Hindi filter, so search coverage in every language
+    newsApiLanguage: null,
+    // Tesseract traineddata used to read screenshots; English too, for the names and figures mixed in
+    ocrLanguage: 'hin+eng',
+
+    sourcePatterns: [
+        {
+            pattern: new RegExp(`${START}(PTI|ANI|IANS|PIB|पीटीआई|एएनआई|आईएएनएस|पीआईबी|Doordarshan|दूरदर्शन|All India Radio|आकाशवाणी|NDTV|एनडीटीवी|Aaj Tak|आज तक|ABP News|एबीपी न्यू${ZA}|Zee News|${ZA}ी न्यू${ZA}|India Today|The Hindu|Times of India|Hindustan Times|Indian Express|Dainik Jagran|दैनिक जागरण|Dainik Bhaskar|दैनिक भास्कर|Amar Ujala|अमर उजाला|Navbharat Times|नवभारत टाइम्स|Jansatta|जनसत्ता)${END}`, 'giu'),
+            type: 'Major News Agency'
+        },
+        ...en.sourcePatterns.filter(({ type }) => type !== 'Major News Agency'),
+        // Indian websites
+        {
+            pattern: /\b(?:www\.|https?:\/\/)?(?:[a-zA-Z0-9-]+\.)+in\b(?:\/[^\s]*)?/gi,
+            type: 'News Website'
+        },
+        // "<platform> पर पोस्ट/लिखा" (posted/wrote on <platform>)
+        {
+            pattern: /(ट्विटर|फेसबुक|फ़ेसबुक|इंस्टाग्राम|यूट्यूब|व्हाट्सएप|व्हाट्सऐप|Twitter|Facebook|Instagram|YouTube|WhatsApp)\s+(?:पर|पे|par|pe)\s+(?:पोस्ट|लिखा|शेयर|कहा|post|likha|share|kaha)/giu,
+            type: 'Social Media'
+        },
+        // "<source> के अनुसार/मुताबिक" (according to <source>)
+        {
+            pattern: /((?:[\p{L}\p{M}]+\s+)?[\p{L}\p{M}]+)\s+(?:के|की|ke|ki)\s+(?:अनुसार|मुताबिक़?|anusaa?r|mutabi[kq])/giu,
+            type: 'Cited Source'
+        },
+        // "<ministry/department/police> ने" (<official body> said)
+        {
+            pattern: /((?:[\p{L}\p{M}]+\s+){0,2}(?:मंत्रालय|विभाग|सरकार|पुलिस|आयोग|प्रशासन|mantralay|vibhag|sarkar|police|aayog|prashasan))\s+(?:ने|के प्रवक्ता|की ओर से|ne|ke pravakta|ki or se)/giu,
+            type: 'Official Source'
+        }
+    ],
+
+    sourceNoise: en.sourceNoise,
+
+    citationPatterns: [
+        ...en.citationPatterns,
+        words(['के अनुसार', 'के मुताबिक़?', 'की रिपोर्ट', 'ke anusaa?r', 'ke mutabi[kq]', 'ki report']),
+        /स्रोत\s?:/gu
+    ],
+
+    datePatterns: [
+        ...en.datePatterns,
+        new RegExp(`(?<![0-9०-९])[0-9०-९]{1,2}\\s+(?:${HINDI_MONTHS.join('|')}),?\\s+[0-9०-९]{4}`, 'gu'),  // DD महीना YYYY
+        /\b\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{4}\b/g,  // DD Month YYYY
+        /[०-९]{1,2}[/.-][०-९]{1,2}[/.-][०-९]{2,4}/gu  // Dates in Devanagari digits
+    ],
+
+    // Indian usage puts the day first (03/04/2024 is 3 April)
+    numericDateOrder: 'dmy',
+
+    monthNames: {
+        ...en.monthNames,
+        'जनवरी': 1, 'फ़रवरी': 2, 'फरवरी': 2, 'मार्च': 3, 'अप्रैल': 4, 'मई': 5, 'जून': 6, 'जुलाई': 7, 'अगस्त': 8,
+        'सितंबर': 9, 'सितम्बर': 9, 'अक्टूबर': 10, 'अक्तूबर': 10, 'नवंबर': 11, 'नवम्बर': 11, 'दिसंबर': 12, 'दिसम्बर': 12
+    },
+
+    // ड़ and ज़ arrive precomposed or with a separate nukta
+    numberMagnitudes: {
+        ...en.numberMagnitudes,
+        'हजार': 1e3, 'हज़ार': 1e3, 'हज़ार': 1e3, 'लाख': 1e5, 'करोड़': 1e7, 'करोड़': 1e7, 'अरब': 1e9, hazaar: 1e3, arab: 1e9
+    },
+    percentWords: [...en.percentWords, 'प्रतिशत', 'फीसदी', 'फ़ीसदी', 'pratishat', 'fisadi'],
+
+    // Devanagari has no capitals, so Hindi names are only picked up after a title or from the reference data
+    entityClues: {
+        personTitles: [...en.entityClues.personTitles, 'श्री', 'श्रीमती', 'डॉ', 'प्रधानमंत्री', 'मुख्यमंत्री', 'मंत्री', 'राष्ट्रपति', 'राज्यपाल', 'न्यायमूर्ति'],
+        organizationWords: en.entityClues.organizationWords,
+        placePrepositions: en.entityClues.placePrepositions
+    },
+
+    // "since 2014" and "2014 से"
+    sincePattern: new RegExp(`${en.sincePattern.source}|([0-9०-९]{4})\\s*(?:से|के बाद से)${END}`, 'giu'),
+
+    statPatterns: [
+        ...en.statPatterns,
+        /[0-9०-९]+(?:\.[0-9०-९]+)?\s?(?:%|प्रतिशत|फीसदी|फ़ीसदी|pratishat|fisadi)/giu,  // Percentages
+        /(?:₹|रु\.?|Rs\.?)\s?[0-9०-९]/giu,  // Rupee amounts
+        /[0-9०-९]+\s+(?:लाख|करोड़|करोड़|हजार|हज़ार|अरब|lakh|crore|hazaar|arab)/giu,  // Large numbers
+        /आंकड़ों|आँकड़ों|आंकड़ों|सर्वे|सर्वेक्षण|बढ़ोतरी|बढ़ोतरी|गिरावट/gu  // Statistical references and trends
+    ],
+
+    stopwords: [
+        ...en.stopwords,
+        'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'और', 'या', 'है', 'हैं', 'था', 'थी', 'थे', 'हो', 'होगा', 'होगी', 'हुआ',
+        'हुई', 'हुए', 'ने', 'भी', 'ही', 'तो', 'यह', 'ये', 'वह', 'वे', 'इस', 'उस', 'इन', 'उन', 'एक', 'कि', 'जो', 'कर',
+        'करने', 'किया', 'गया', 'गई', 'गए', 'रहा', 'रही', 'रहे', 'लिए', 'साथ', 'बाद', 'तक', 'अब', 'कहा', 'बताया', 'नहीं',
+        'hai', 'hain', 'nahi', 'kya', 'ki', 'ke', 'ka', 'ko', 'mein', 'aur', 'bhi', 'tha', 'thi', 'yeh', 'ye', 'woh', 'wo',
+        'kar', 'kiya', 'gaya', 'gayi', 'raha', 'rahi', 'rahe', 'se', 'pe', 'par', 'jo', 'toh', 'liye', 'ne', 'kaha'
+    ],
+
+    debunkPattern: new RegExp(
+        `${en.debunkPattern.source}|(?:फ\\u093C?|\\u095E)र्जी|फेक|झूठ[ाीे]?|भ्रामक|फैक्ट चेक|अफवाह|सच नहीं|गलत दावा|ग़लत दावा`,
+        'iu'
+    ),
+
+    complexWordPattern: new RegExp(
+        `[\\p{L}\\p{M}]{12,}|${START}(?:इसलिए|हालांकि|हालाँकि|इसके अलावा|परिणामस्वरूप|फिर भी|therefore|however|furthermore|consequently|nevertheless)${END}`,
+        'giu'
+    ),
+
+    // Forwards switch freely between Hindi, Hinglish and English, so every English pattern applies too
+    manipulationPatterns: {
+        sensational: [
+            ...en.manipulationPatterns.sensational,
+            words(['सनसनीखे' + ZA, 'चौंकाने वाला', 'चौंकाने वाली', 'हैरान कर देने वाला', 'होश उड़ा देने वाला', 'चमत्कार', 'चमत्कारी', 'खुलासा', 'पर्दाफाश', 'बड़ा खुलासा', 'shocking khabar', 'bada khulasa'])
+        ],
+        clickbait: [
+            ...en.manipulationPatterns.clickbait,
+            words(['यकीन नहीं होगा', 'विश्वास नहीं होगा', 'आगे जो हुआ', 'देखकर दंग रह जाएंगे', 'अंत तक देखें', 'आखिर तक देखें', 'yakeen nahi hoga', 'ant tak dekhein'])
+        ],
+        urgency: [
+            ...en.manipulationPatterns.urgency,
+            words(['डिलीट होने से पहले', 'हटाए जाने से पहले', 'ज़्यादा से ज़्यादा शेयर करें', 'ज्यादा से ज्यादा शेयर करें', 'सभी ग्रुप में भेजें', 'हर ग्रुप में भेजें', 'तुरंत शेयर करें', 'जल्दी शेयर करें', 'अभी शेयर करें', 'ज़रूरी सूचना', 'जरूरी सूचना', 'सावधान', 'share karo', 'forward karo', 'delete hone se pehle', 'jaldi share'])
+        ],
+        loadedLanguage: [
+            ...en.manipulationPatterns.loadedLanguage,
+            words(['गद्दार', 'देशद्रोही', 'देशद्रोहियों', 'दलाल', 'गुलाम', 'भक्त', 'जिहादी', 'टुकड़े-टुकड़े गैंग', 'gaddar', 'deshdrohi', 'dalal'])
+        ],
+        whataboutism: [
+            ...en.manipulationPatterns.whataboutism,
+            words(['तब कहाँ थे', 'तब कहां थे', 'तब क्यों चुप थे', 'उस समय कहाँ थे', 'उस समय कहां थे', 'tab kahan the', 'tab kyon chup the'])
+        ],
+        appealToFear: [
+            ...en.manipulationPatterns.appealToFear,
+            words(['जान का खतरा', 'जान को खतरा', 'मौत का खतरा', 'बर्बाद कर देगा', 'तबाह कर देगा', 'अगला नंबर आपका', 'बच्चों की जान', 'बहुत देर हो जाएगी', 'khatra hai'])
+        ]
+    },
+
+    zeroShot: {
+        contentTypePrompt: 'यह पाठ है:',
+        factPrompt: 'यह सामग्री है:',
+        contentTypeLabels: {
+            'news article': 'समाचार लेख',
+            'opinion piece': 'राय लेख',
+            'social media post': 'सोशल मीडिया पोस्ट',
+            'advertisement': 'विज्ञापन',
+            'blog post': 'ब्लॉग पोस्ट'
+        },
+        factLabels: {
+            'factual': 'तथ्यात्मक',
+            'misleading': 'भ्रामक',
+            'false': 'झूठा',
+            'opinion': 'राय',
+            'unverified': 'असत्यापित'
+        }
+    }
+};
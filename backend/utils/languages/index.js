@@ -0,0 +1,77 @@
+// Per-language pattern sets, keyed by ISO 639-1 code
+const LANGUAGE_PACKS = {
+    en: require('./en'),
+    hi: require('./hi')
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_PACKS);
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Share of letters that must be Devanagari for the text to count as Hindi
+const DEVANAGARI_SHARE = 0.3;
+
+// Hindi function words that rarely appear in English, for spotting Hinglish (Hindi in Latin script)
+const HINGLISH_MARKERS = new Set([
+    'hai', 'hain', 'nahi', 'nahin', 'kya', 'ki', 'ke', 'ka', 'ko', 'mein', 'aur', 'bhi', 'tha', 'thi',
+    'yeh', 'ye', 'woh', 'wo', 'kar', 'kiya', 'gaya', 'gayi', 'hoga', 'raha', 'rahi', 'rahe', 'sab',
+    'log', 'logon', 'abhi', 'sirf', 'lekin', 'kyunki', 'agar', 'toh', 'jo', 'se', 'pe', 'jab', 'tak',
+    'unhone', 'hum', 'aap', 'apne', 'liye', 'wala', 'wali', 'sarkar', 'khabar'
+]);
+
+// Share of words that must be Hinglish markers
+const HINGLISH_SHARE = 0.15;
+
+function getLanguagePack(code) {
+    return LANGUAGE_PACKS[code] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+}
+
+function describeLanguage(code, script, confidence, source) {
+    return {
+        code,
+        name: getLanguagePack(code).name,
+        script,
+        confidence: Math.round(confidence * 100) / 100,
+        source
+    };
+}
+
+// Guess the language from the script, then from Hinglish function words.
+// Anything that isn't recognisably Hindi is treated as English.
+function detectLanguage(content) {
+    const devanagari = (content.match(/[\u0900-\u097F]/g) || []).length;
+    const latin = (content.match(/[A-Za-z]/g) || []).length;
+
+    if (devanagari + latin === 0) {
+        return describeLanguage(DEFAULT_LANGUAGE, 'latin', 0, 'detected');
+    }
+
+    const devanagariShare = devanagari / (devanagari + latin);
+    if (devanagariShare >= DEVANAGARI_SHARE) {
+        return describeLanguage('hi', 'devanagari', devanagariShare, 'detected');
+    }
+
+    const words = content.toLowerCase().match(/[a-z]+/g) || [];
+    const markerShare = words.length > 0 ? words.filter(word => HINGLISH_MARKERS.has(word)).length / words.length : 0;
+    if (markerShare >= HINGLISH_SHARE) {
+        return describeLanguage('hi', 'latin', Math.min(1, markerShare / (2 * HINGLISH_SHARE)), 'detected');
+    }
+
+    return describeLanguage(DEFAULT_LANGUAGE, 'latin', 1 - Math.min(1, markerShare / HINGLISH_SHARE), 'detected');
+}
+
+// The language a check runs in: the one the client asked for, else whatever the content looks like
+function resolveLanguage(content, requested) {
+    const detected = detectLanguage(content);
+    if (!requested || requested === detected.code) return detected;
+
+    return describeLanguage(requested, requested === 'hi' && detected.script === 'devanagari' ? 'devanagari' : 'latin', 1, 'requested');
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getLanguagePack,
+    detectLanguage,
+    resolveLanguage
+};
@@ -0,0 +1,101 @@
+// Local linguistic signals of manipulative content: sensational phrasing, clickbait,
+// urgency and named propaganda techniques, each with the spans of text that triggered it
+
+const { getLanguagePack } = require('./languages');
+
+// Every signal we look for, with the points it takes off the credibility score when found
+const MANIPULATION_SIGNALS = {
+    allCaps: { category: 'style', label: 'ALL-CAPS phrasing', penalty: 3 },
+    excessivePunctuation: { category: 'style', label: 'excessive punctuation', penalty: 3 },
+    sensational: { category: 'style', label: 'sensational wording', penalty: 4 },
+    clickbait: { category: 'clickbait', label: 'clickbait phrasing', penalty: 5 },
+    urgency: { category: 'urgency', label: 'urgency to share', penalty: 6 },
+    loadedLanguage: { category: 'propaganda', label: 'loaded language', penalty: 4 },
+    whataboutism: { category: 'propaganda', label: 'whataboutism', penalty: 4 },
+    appealToFear: { category: 'propaganda', label: 'appeal to fear', penalty: 5 }
+};
+
+// However many signals fire, the text alone never costs more than this
+const MAX_MANIPULATION_PENALTY = 25;
+
+// Spans kept per signal; the count still covers them all
+const MAX_SPANS = 10;
+
+// Runs of two or more upper-case words, e.g. "BREAKING NEWS" or "SHARE THIS NOW"
+const ALL_CAPS_PATTERN = /\b[A-Z][A-Z'’]+(?:[ \t]+[A-Z][A-Z'’]+)+\b/g;
+// Short runs are mostly acronyms side by side ("US FDA")
+const MIN_ALL_CAPS_LETTERS = 8;
+
+// "!!", "??", "?!" and longer runs
+const PUNCTUATION_PATTERN = /[!?]*(?:!!|\?\?|!\?|\?!)[!?]*/g;
+
+// Matched text with its character offsets in the content, overlapping matches merged
+function findSpans(content, patterns) {
+    const spans = [];
+    patterns.forEach(pattern => {
+        for (const match of content.matchAll(pattern)) {
+            if (match[0].trim()) {
+                spans.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+    });
+
+    spans.sort((a, b) => a.start - b.start);
+    const merged = spans.reduce((acc, span) => {
+        const last = acc[acc.length - 1];
+        if (last && span.start < last.end) {
+            last.end = Math.max(last.end, span.end);
+        } else {
+            acc.push({ ...span });
+        }
+        return acc;
+    }, []);
+
+    return merged.map(({ start, end }) => ({ text: content.slice(start, end).trim(), start, end }));
+}
+
+function findAllCaps(content) {
+    return findSpans(content, [ALL_CAPS_PATTERN])
+        .filter(span => (span.text.match(/[A-Z]/g) || []).length >= MIN_ALL_CAPS_LETTERS);
+}
+
+// Every manipulation signal found in the content, and how far they pull the credibility score down
+function detectManipulation(content, language) {
+    const { manipulationPatterns = {} } = getLanguagePack(language);
+
+    const spansBySignal = {
+        allCaps: findAllCaps(content),
+        excessivePunctuation: findSpans(content, [PUNCTUATION_PATTERN])
+    };
+    Object.entries(manipulationPatterns).forEach(([signal, patterns]) => {
+        spansBySignal[signal] = findSpans(content, patterns);
+    });
+
+    const signals = Object.entries(MANIPULATION_SIGNALS)
+        .filter(([signal]) => spansBySignal[signal] && spansBySignal[signal].length > 0)
+        .map(([signal, { category, label, penalty }]) => ({
+            signal,
+            category,
+            label,
+            count: spansBySignal[signal].length,
+            penalty,
+            spans: spansBySignal[signal].slice(0, MAX_SPANS)
+        }));
+
+    const penalty = Math.min(MAX_MANIPULATION_PENALTY, signals.reduce((sum, signal) => sum + signal.penalty, 0));
+
+    return {
+        detected: signals.length > 0,
+        signals,
+        // The named propaganda techniques on their own, for display
+        propagandaTechniques: signals.filter(signal => signal.category === 'propaganda').map(signal => signal.label),
+        adjustment: penalty > 0 ? -penalty : 0
+    };
+}
+
+module.exports = {
+    MANIPULATION_SIGNALS,
+    MAX_MANIPULATION_PENALTY,
+    findSpans,
+    detectManipulation
+};
@@ -0,0 +1,19 @@
+// Map over items with at most `limit` async calls in flight, preserving order
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = mapWithConcurrency;
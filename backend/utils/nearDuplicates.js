@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const UserReport = require('../models/userReport');
+const { tokenize } = require('./textRanking');
+
+// Consecutive words hashed together; pairs survive rewording better than longer runs
+const SHINGLE_SIZE = 2;
+
+// MinHash signature length, split into LSH bands of BAND_ROWS hashes. Two texts share at least one
+// band with probability 1 - (1 - J^2)^32 for Jaccard similarity J: ~100% at 0.5, ~5% at 0.05.
+const SIGNATURE_SIZE = 64;
+const BAND_ROWS = 2;
+
+// Estimated Jaccard similarity from which an earlier report counts as the same claim
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Band matches scored per check, most recent first, and earlier reports returned
+const MAX_CANDIDATES = 200;
+const MAX_SIMILAR_REPORTS = 5;
+
+const EXCERPT_LENGTH = 200;
+
+// 32-bit FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3's finalizer, used to derive one independent hash per signature slot
+function mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 1));
+
+function shingles(content, language) {
+    const tokens = tokenize(content, language);
+    const size = Math.min(SHINGLE_SIZE, tokens.length);
+    const result = new Set();
+
+    for (let i = 0; size > 0 && i + size <= tokens.length; i++) {
+        result.add(tokens.slice(i, i + size).join(' '));
+    }
+    return result;
+}
+
+// MinHash signature of the content's word shingles, or null if it has no words to go on
+function computeSignature(content, language) {
+    const hashes = [...shingles(content, language)].map(hashString);
+    if (hashes.length === 0) return null;
+
+    return SEEDS.map(seed => hashes.reduce((min, hash) => Math.min(min, mix(hash ^ seed)), Infinity));
+}
+
+// LSH band keys; reports sharing any of them are candidates for a near-duplicate
+function signatureBands(signature) {
+    const bands = [];
+    for (let i = 0; i < signature.length; i += BAND_ROWS) {
+        bands.push(`${i / BAND_ROWS}:${signature.slice(i, i + BAND_ROWS).map(hash => hash.toString(36)).join('.')}`);
+    }
+    return bands;
+}
+
+// Share of matching slots, an estimate of the two texts' Jaccard similarity
+function estimateSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    return a.filter((hash, i) => hash === b[i]).length / a.length;
+}
+
+function excerpt(content) {
+    const text = content.replace(/\s+/g, ' ').trim();
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+// The content's MinHash fingerprint and the earlier reports that are near-duplicates of it, closest first
+async function findSimilarReports(content, language) {
+    const signature = computeSignature(content, language);
+    const fingerprint = signature ? { signature, bands: signatureBands(signature) } : null;
+
+    // Don't wait on mongoose's command buffering when the database is down
+    if (!fingerprint || mongoose.connection.readyState !== 1) {
+        return { fingerprint, similarReports: [] };
+    }
+
+    try {
+        const candidates = await UserReport.find({ 'minhash.bands': { $in: fingerprint.bands } })
+            .select('content reliability combinedMetrics.credibilityScore timestamp clusterId minhash.signature')
+            .sort({ timestamp: -1 })
+            .limit(MAX_CANDIDATES)
+            .lean();
+
+        const similarReports = candidates
+            .map(report => ({ report, similarity: estimateSimilarity(signature, report.minhash.signature) }))
+            .filter(({ similarity }) => similarity >= SIMILARITY_THRESHOLD)
+            .sort((a, b) => b.similarity - a.similarity || b.report.timestamp - a.report.timestamp)
+            .slice(0, MAX_SIMILAR_REPORTS)
+            .map(({ report, similarity }) => ({
+                reportId: report._id,
+                clusterId: report.clusterId || report._id,
+                similarity: Math.round(similarity * 100) / 100,
+                reliability: report.reliability,
+                credibilityScore: report.combinedMetrics ? report.combinedMetrics.credibilityScore : null,
+                checkedAt: report.timestamp,
+                excerpt: excerpt(report.content)
+            }));
+
+        return { fingerprint, similarReports };
+    } catch (error) {
+        console.error('Similar report lookup failed:', error.message);
+        return { fingerprint, similarReports: [] };
+    }
+}
+
+module.exports = {
+    SIMILARITY_THRESHOLD,
+    computeSignature,
+    signatureBands,
+    estimateSimilarity,
+    excerpt,
+    findSimilarReports
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+
+const FACT_CHECK_API_URL = 'https://factchecktools.googleapis.com/v1alpha1/claims:search';
+
+const PAGE_SIZE = 10;
+
+// Fact-checkers word their ratings freely ("Mostly False", "Missing context", "भ्रामक"),
+// so map them onto a few verdicts. Checked in order: "partly false" is misleading, "not true" and
+// "untrue" are false, "unverified" says nothing either way, and only then is "true" taken at its word.
+// \b doesn't work next to Devanagari, so the Hindi words are matched as they are.
+const RATING_PATTERNS = [
+    { verdict: 'misleading', pattern: /\b(misleading|partly|partially|half|mixture|mixed|missing context|out of context|needs context|exaggerat\w*|unproven|unsupported)\b|भ्रामक|आंशिक|अधूरा/i },
+    { verdict: 'false', pattern: /\b(false|fake|pants on fire|untrue|incorrect|inaccurate|wrong|fabricated|hoax|altered|doctored|misattributed|baseless|not (true|correct|accurate|real|genuine|authentic))\b|झूठ|फ़?र्जी|\u095Eर्जी|गलत|ग़लत|असत्य|(सच|सही|सत्य)\s*नहीं/i },
+    { verdict: 'unrated', pattern: /\b(unverified|unverifiable|not verified|cannot be verified|no evidence|unsubstantiated)\b|अपुष्ट/i },
+    { verdict: 'true', pattern: /\b(true|correct|accurate|verified)\b|सही|सच|सत्य/i }
+];
+
+function classifyRating(rating) {
+    const match = RATING_PATTERNS.find(({ pattern }) => pattern.test(rating || ''));
+    return match ? match.verdict : 'unrated';
+}
+
+// Published fact-checks (ClaimReview markup) through the Google Fact Check Tools API
+function createFactCheckSource(options = {}) {
+    const apiKey = options.apiKey || process.env.GOOGLE_FACT_CHECK_API_KEY;
+
+    return {
+        name: 'factcheck',
+        isAvailable: () => Boolean(apiKey),
+        async fetch({ terms, language }, signal) {
+            const response = await axios.get(FACT_CHECK_API_URL, {
+                params: {
+                    // Full-text search, so plain keywords work better than an OR query
+                    query: terms.join(' '),
+                    languageCode: language,
+                    pageSize: PAGE_SIZE,
+                    key: apiKey
+                },
+                timeout: options.timeout,
+                signal
+            });
+
+            return response.data;
+        },
+        // One match per review, carrying the reviewed claim and the fact-checker's rating
+        parse(data) {
+            return (data.claims || []).flatMap(claim => (claim.claimReview || []).map(review => ({
+                title: review.title || claim.text,
+                description: claim.text,
+                source: review.publisher && (review.publisher.name || review.publisher.site),
+                url: review.url,
+                publishedAt: review.reviewDate || claim.claimDate,
+                factCheck: {
+                    claim: claim.text,
+                    claimant: claim.claimant,
+                    rating: review.textualRating,
+                    verdict: classifyRating(review.textualRating)
+                }
+            })));
+        }
+    };
+}
+
+module.exports = createFactCheckSource;
+module.exports.classifyRating = classifyRating;
@@ -0,0 +1,61 @@
+const axios = require('axios');
+const { getLanguagePack } = require('../languages');
+const { quoteTerm } = require('../textRanking');
+
+const GDELT_API_URL = 'https://api.gdeltproject.org/api/v2/doc/doc';
+
+const MAX_RECORDS = 20;
+
+// GDELT rejects search words shorter than this
+const MIN_TERM_LENGTH = 3;
+
+// "20240115T093000Z" -> Date
+function parseSeenDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])).toISOString() : null;
+}
+
+// Worldwide news coverage from the GDELT DOC 2.0 API; needs no key, but is rate limited,
+// so it isn't used for per-claim checks
+function createGdeltSource(options = {}) {
+    return {
+        name: 'gdelt',
+        checksClaims: false,
+        isAvailable: () => true,
+        async fetch({ terms, language }, signal) {
+            const words = terms.filter(term => term.length >= MIN_TERM_LENGTH).map(quoteTerm);
+            if (words.length === 0) return { articles: [] };
+
+            // OR'ed terms must be wrapped in parentheses
+            const query = words.length > 1 ? `(${words.join(' OR ')})` : words[0];
+            const response = await axios.get(GDELT_API_URL, {
+                params: {
+                    query: `${query} sourcelang:${getLanguagePack(language).name.toLowerCase()}`,
+                    mode: 'ArtList',
+                    format: 'json',
+                    maxrecords: MAX_RECORDS,
+                    sort: 'HybridRel'
+                },
+                timeout: options.timeout,
+                signal
+            });
+
+            // GDELT answers bad queries with a plain-text message instead of JSON
+            if (typeof response.data !== 'object') {
+                throw new Error(`GDELT query failed: ${String(response.data).trim().slice(0, 200)}`);
+            }
+            return response.data;
+        },
+        parse(data) {
+            return (data.articles || []).map(article => ({
+                title: article.title,
+                description: null,
+                source: article.domain,
+                url: article.url,
+                publishedAt: parseSeenDate(article.seendate)
+            }));
+        }
+    };
+}
+
+module.exports = createGdeltSource;
@@ -0,0 +1,115 @@
+const path = require('path');
+
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// Built-in adapters, keyed by config `type`. Each exposes `fetch(search, signal)` for the raw
+// response and `parse(raw)` for the articles in it, so recorded responses can be replayed through parse.
+const SOURCE_TYPES = {
+    newsapi: require('./newsApiSource'),
+    factcheck: require('./factCheckSource'),
+    gdelt: require('./gdeltSource'),
+    rss: require('./rssSource')
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+function loadNewsSourceConfig() {
+    if (process.env.NEWS_SOURCES_CONFIG) {
+        return require(path.resolve(BACKEND_ROOT, process.env.NEWS_SOURCES_CONFIG));
+    }
+    return require('../../config/newsSources');
+}
+
+function createNewsSource(entry) {
+    const factory = SOURCE_TYPES[entry.type || entry.name];
+    if (typeof factory !== 'function') {
+        throw new Error(`Unknown news source "${entry.type || entry.name}"`);
+    }
+
+    const source = factory({ timeout: entry.timeout || DEFAULT_TIMEOUT, ...entry.options });
+    return { ...source, name: entry.name || source.name };
+}
+
+let adapters;
+let sources;
+
+// Every enabled source, whether or not it can run here; enough to parse recorded responses
+function getNewsSourceAdapters() {
+    if (!adapters) {
+        adapters = loadNewsSourceConfig()
+            .filter(entry => entry.enabled !== false)
+            .map(createNewsSource);
+    }
+    return adapters;
+}
+
+// The sources that can be searched, e.g. because their API key is set
+function getNewsSources() {
+    if (!sources) {
+        sources = getNewsSourceAdapters().filter(source => {
+            if (!source.isAvailable()) {
+                console.warn(`News source ${source.name} is not configured and will be skipped`);
+                return false;
+            }
+            return true;
+        });
+    }
+    return sources;
+}
+
+// Query the sources in parallel, keeping each one's raw response or failure
+async function searchNewsSources(search, newsSources, signal) {
+    const entries = await Promise.all(newsSources.map(async (source) => {
+        try {
+            return [source.name, { status: 'ok', data: await source.fetch(search, signal) }];
+        } catch (error) {
+            console.error(`News source ${source.name} failed:`, error.message);
+            return [source.name, { status: 'failed', reason: error.message }];
+        }
+    }));
+
+    return Object.fromEntries(entries);
+}
+
+// URL without scheme, "www.", query string, fragment or trailing slash
+function urlKey(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+function titleKey(title) {
+    const words = (title || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu);
+    return words && words.length >= 3 ? words.join(' ') : null;
+}
+
+// Parse every successful response and merge the articles, tagged with the source they came from.
+// The same story syndicated across sources is kept once, preferring fact-checks.
+function collectArticles(responses) {
+    const parsers = Object.fromEntries(getNewsSourceAdapters().map(source => [source.name, source]));
+    const articles = Object.entries(responses)
+        .filter(([name, response]) => response.status === 'ok' && parsers[name])
+        .flatMap(([name, response]) => parsers[name].parse(response.data).map(article => ({ ...article, sourceType: name })))
+        .filter(article => article.title && article.url)
+        .sort((a, b) => Boolean(b.factCheck) - Boolean(a.factCheck));
+
+    const seen = new Set();
+    return articles.filter(article => {
+        const keys = [urlKey(article.url), titleKey(article.title)].filter(Boolean);
+        if (keys.some(key => seen.has(key))) return false;
+        keys.forEach(key => seen.add(key));
+        return true;
+    });
+}
+
+module.exports = {
+    SOURCE_TYPES,
+    createNewsSource,
+    getNewsSourceAdapters,
+    getNewsSources,
+    searchNewsSources,
+    collectArticles
+};
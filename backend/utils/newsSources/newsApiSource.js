@@ -0,0 +1,45 @@
+const axios = require('axios');
+const { getLanguagePack } = require('../languages');
+
+const NEWS_API_URL = 'https://newsapi.org/v2/everything';
+
+// Candidates fetched for re-ranking; NewsAPI's own relevancy order is only a first pass
+const PAGE_SIZE = 20;
+
+// Recent articles from NewsAPI's index
+function createNewsApiSource(options = {}) {
+    const apiKey = options.apiKey || process.env.NEWS_API_KEY;
+
+    return {
+        name: 'newsapi',
+        isAvailable: () => Boolean(apiKey),
+        async fetch({ query, language }, signal) {
+            const response = await axios.get(NEWS_API_URL, {
+                params: {
+                    q: query,
+                    apiKey: apiKey,
+                    language: getLanguagePack(language).newsApiLanguage || undefined,
+                    sortBy: 'relevancy',
+                    pageSize: PAGE_SIZE
+                },
+                timeout: options.timeout,
+                signal
+            });
+
+            return response.data;
+        },
+        parse(data) {
+            if (data.status !== 'ok') return [];
+
+            return data.articles.map(article => ({
+                title: article.title,
+                description: article.description,
+                source: article.source && article.source.name,
+                url: article.url,
+                publishedAt: article.publishedAt
+            }));
+        }
+    };
+}
+
+module.exports = createNewsApiSource;
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+// Feeds are re-downloaded at most this often, however many checks run
+const FEED_CACHE_MS = 10 * 60 * 1000;
+
+const MAX_FEED_SIZE = 2 * 1024 * 1024;
+
+const feedCache = new Map();
+
+// Descriptions often carry HTML markup
+function stripTags(html) {
+    return cheerio.load(html || '').text().replace(/\s+/g, ' ').trim();
+}
+
+async function fetchFeed(url, timeout, signal) {
+    const cached = feedCache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < FEED_CACHE_MS) {
+        return cached.xml;
+    }
+
+    const response = await axios.get(url, {
+        timeout,
+        maxContentLength: MAX_FEED_SIZE,
+        responseType: 'text',
+        headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+        signal
+    });
+
+    feedCache.set(url, { xml: response.data, fetchedAt: Date.now() });
+    return response.data;
+}
+
+// RSS uses RFC 822 dates, Atom ISO 8601; anything unparseable is dropped
+function toIsoDate(value) {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// RSS 2.0 <item>s and Atom <entry>s, credited to the feed's title or else its host
+function parseFeed(xml, feedUrl) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const channelTitle = $('channel > title, feed > title').first().text().trim() || new URL(feedUrl).hostname;
+
+    return $('item, entry').toArray().map(element => {
+        const item = $(element);
+        const link = item.find('link').first();
+
+        return {
+            title: item.find('title').first().text().trim(),
+            description: stripTags(item.find('description, summary, content').first().text()),
+            source: channelTitle,
+            url: link.attr('href') || link.text().trim(),
+            publishedAt: toIsoDate(item.find('pubDate, published, updated').first().text().trim())
+        };
+    });
+}
+
+// Every item of a configured list of RSS/Atom feeds; the ranking picks out the ones about the story.
+// Feeds come from `options.feeds` or RSS_FEEDS (comma-separated).
+function createRssSource(options = {}) {
+    const feeds = options.feeds || (process.env.RSS_FEEDS || '').split(',').map(feed => feed.trim()).filter(Boolean);
+
+    return {
+        name: 'rss',
+        isAvailable: () => feeds.length > 0,
+        // A feed that can't be fetched is left out rather than failing the others
+        async fetch(search, signal) {
+            const results = await Promise.allSettled(feeds.map(url => fetchFeed(url, options.timeout, signal)));
+
+            results.forEach((result, i) => {
+                if (result.status === 'rejected') {
+                    console.error(`RSS feed ${feeds[i]} failed:`, result.reason.message);
+                }
+            });
+            if (results.every(result => result.status === 'rejected')) {
+                throw new Error('All RSS feeds failed');
+            }
+
+            return {
+                feeds: results
+                    .map((result, i) => ({ url: feeds[i], xml: result.value }))
+                    .filter(feed => feed.xml)
+            };
+        },
+        parse(data) {
+            return data.feeds.flatMap(feed => parseFeed(feed.xml, feed.url));
+        }
+    };
+}
+
+module.exports = createRssSource;
@@ -0,0 +1,39 @@
+const { scoreHeuristics } = require('../heuristics');
+
+// Text heuristics alone rarely justify more confidence than this
+const HEURISTIC_CONFIDENCE = 40;
+
+// Local analyzer that needs no network or API key
+function createHeuristicProvider() {
+    const provider = {
+        name: 'heuristic',
+        weight: 1,
+        retries: 1,
+        // Runs locally, so there's never a recorded response to replay
+        local: true,
+        async fetch(content, signal, progress, { language } = {}) {
+            return scoreHeuristics(content, language);
+        },
+        score({ credibilityScore, baseScore, sourceBonus, factors, sources }) {
+            return {
+                scores: {
+                    credibilityScore,
+                    truthScore: credibilityScore,
+                    confidence: HEURISTIC_CONFIDENCE
+                },
+                details: {
+                    baseScore,
+                    sourceBonus,
+                    factors,
+                    sourceCount: sources.length
+                }
+            };
+        }
+    };
+
+    provider.analyze = async (content, signal, progress, context) => provider.score(await provider.fetch(content, signal, progress, context));
+
+    return provider;
+}
+
+module.exports = createHeuristicProvider;
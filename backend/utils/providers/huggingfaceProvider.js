@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { getScoringConfig, scoreFactLabels, explainFactLabels } = require('../scoring');
+const { getLanguagePack } = require('../languages');
+
+const HUGGINGFACE_API_URL = 'https://api-inference.huggingface.co/models';
+
+// Zero-shot classification of content type and factuality.
+// Non-English content goes to a multilingual NLI model with the language's own candidate labels.
+function createHuggingFaceProvider(options = {}) {
+    const model = options.model || 'facebook/bart-large-mnli';
+    const multilingualModel = options.multilingualModel || 'joeddav/xlm-roberta-large-xnli';
+    const apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY;
+    const headers = {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+    };
+
+    // `candidateLabels` maps our label to the localized one; the response is mapped back to ours
+    const classify = async (inputs, candidateLabels, signal, language) => {
+        const localized = Object.values(candidateLabels);
+        const ourLabel = Object.fromEntries(Object.entries(candidateLabels).map(([label, text]) => [text, label]));
+
+        const response = await axios.post(
+            `${HUGGINGFACE_API_URL}/${getLanguagePack(language).code === 'en' ? model : multilingualModel}`,
+            {
+                inputs,
+                parameters: {
+                    candidate_labels: localized
+                }
+            },
+            {
+                headers,
+                signal
+            }
+        );
+
+        return {
+            ...response.data,
+            labels: response.data.labels.map(label => ourLabel[label] || label)
+        };
+    };
+
+    const provider = {
+        name: 'huggingface',
+        weight: 0.6,
+        retries: 3,
+        isAvailable: () => Boolean(apiKey),
+        // Raw zero-shot results for the content type and factuality prompts
+        async fetch(content, signal, progress = () => {}, { language } = {}) {
+            const { zeroShot } = getLanguagePack(language);
+
+            const [contentType, facts] = await Promise.all([
+                classify(`${content}\n${zeroShot.contentTypePrompt}`, zeroShot.contentTypeLabels, signal, language).then(result => {
+                    progress('content-type', result);
+                    return result;
+                }),
+                classify(`${content}\n${zeroShot.factPrompt}`, zeroShot.factLabels, signal, language).then(result => {
+                    progress('fact-classification', result);
+                    return result;
+                })
+            ]);
+
+            return { contentType, facts };
+        },
+        score(raw, scoring = getScoringConfig()) {
+            const contentType = raw.contentType.labels[0];
+            const contentConfidence = raw.contentType.scores[0];
+
+            const { labels, scores } = raw.facts;
+            const labelScores = Object.fromEntries(labels.map((label, i) => [label, scores[i]]));
+            const percent = (label) => Math.round((labelScores[label] || 0) * 100);
+
+            const { rawCredibilityScore, credibilityScore, truthScore } = scoreFactLabels(labelScores, scoring);
+
+            return {
+                scores: {
+                    credibilityScore,
+                    truthScore,
+                    confidence: Math.round(contentConfidence * 100)
+                },
+                details: {
+                    rawCredibilityScore,
+                    labelContributions: explainFactLabels(labelScores, scoring),
+                    factualScore: percent('factual'),
+                    contentAnalysis: {
+                        isNews: contentType === 'news article',
+                        contentType: contentType,
+                        confidence: Math.round(contentConfidence * 100)
+                    },
+                    verificationResult: {
+                        labels: labels,
+                        scores: scores.map(score => Math.round(score * 100)),
+                        primaryClassification: labels[0],
+                        details: {
+                            factualScore: percent('factual'),
+                            misleadingScore: percent('misleading'),
+                            falseScore: percent('false'),
+                            opinionScore: percent('opinion')
+                        }
+                    }
+                }
+            };
+        },
+        // Fact classification of a single claim
+        async analyzeClaim(claim, signal, { language } = {}) {
+            const { zeroShot } = getLanguagePack(language);
+            const { labels, scores } = await classify(`${claim}\n${zeroShot.factPrompt}`, zeroShot.factLabels, signal, language);
+
+            return {
+                verdict: labels[0],
+                labelScores: Object.fromEntries(
+                    labels.map((label, i) => [label, Math.round(scores[i] * 100)])
+                )
+            };
+        }
+    };
+
+    provider.analyze = async (content, signal, progress, context) => provider.score(await provider.fetch(content, signal, progress, context));
+
+    return provider;
+}
+
+module.exports = createHuggingFaceProvider;
@@ -0,0 +1,94 @@
+const path = require('path');
+const { getScoringConfig } = require('../scoring');
+
+const BACKEND_ROOT = path.join(__dirname, '../..');
+
+// Built-in provider factories, keyed by config `type`
+const PROVIDER_TYPES = {
+    huggingface: require('./huggingfaceProvider'),
+    mistral: require('./mistralProvider'),
+    newsapi: require('./newsApiProvider'),
+    heuristic: require('./heuristicProvider')
+};
+
+const DEFAULT_TIMEOUT = 30000;
+
+function loadAnalyzerConfig() {
+    if (process.env.ANALYZERS_CONFIG) {
+        return require(path.resolve(BACKEND_ROOT, process.env.ANALYZERS_CONFIG));
+    }
+    return require('../../config/analyzers');
+}
+
+// Build a provider from one config entry and check it implements the interface
+function createProvider(entry) {
+    const factory = entry.module
+        ? require(path.resolve(BACKEND_ROOT, entry.module))
+        : PROVIDER_TYPES[entry.type || entry.name];
+
+    if (typeof factory !== 'function') {
+        throw new Error(`Unknown analyzer provider "${entry.type || entry.name}"`);
+    }
+
+    const provider = factory(entry.options || {});
+    if (!provider || typeof provider.analyze !== 'function') {
+        throw new Error(`Analyzer provider "${entry.name}" must expose an analyze(content, signal) function`);
+    }
+
+    // Fitted weights from the scoring config take precedence over the registry's
+    const name = entry.name || provider.name;
+    const fittedWeight = getScoringConfig().analyzerWeights[name];
+    const weight = fittedWeight !== undefined ? fittedWeight
+        : entry.weight !== undefined ? entry.weight : provider.weight;
+
+    return {
+        ...provider,
+        name,
+        weight: typeof weight === 'number' ? weight : 1,
+        retries: entry.retries || provider.retries || 1,
+        timeout: entry.timeout || provider.timeout || DEFAULT_TIMEOUT,
+        maxClaims: entry.maxClaims !== undefined ? entry.maxClaims : provider.maxClaims
+    };
+}
+
+// Skip providers that can't run here, e.g. because their API key isn't set
+function loadProviders(config = loadAnalyzerConfig()) {
+    return config
+        .filter(entry => entry.enabled !== false)
+        .map(createProvider)
+        .filter(provider => {
+            if (provider.isAvailable && !provider.isAvailable()) {
+                console.warn(`Analyzer ${provider.name} is not configured and will be skipped`);
+                return false;
+            }
+            return true;
+        });
+}
+
+let providers;
+let heuristicProviders;
+
+// Lazily load the configured providers once per process
+function getProviders() {
+    if (!providers) {
+        providers = loadProviders();
+    }
+    return providers;
+}
+
+// Network-free providers for heuristic mode and for servers without any API keys
+function getHeuristicProviders() {
+    if (!heuristicProviders) {
+        heuristicProviders = loadProviders([{ name: 'heuristic', weight: 1 }]);
+    }
+    return heuristicProviders;
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    loadAnalyzerConfig,
+    createProvider,
+    loadProviders,
+    getProviders,
+    getHeuristicProviders
+};
@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { getLanguagePack } = require('../languages');
+const { StructuredOutputError, parseJsonReply, validateStructuredOutput, describeSchema } = require('../structuredOutput');
+
+const MISTRAL_API_URL = 'https://api.mistral.ai/v1/chat/completions';
+
+const VERDICTS = ['credible', 'mixed', 'misleading', 'false', 'unverifiable'];
+
+// What the model is asked to reply with. Only the scores are needed to use the reply;
+// aliases cover the names the model tends to use instead.
+const OUTPUT_SCHEMA = {
+    credibilityScore: {
+        type: 'score',
+        required: true,
+        aliases: ['credibility', 'credibilityRating', 'credibilityScoreOutOf100'],
+        description: 'how credible the content is overall'
+    },
+    truthScore: {
+        type: 'score',
+        required: true,
+        aliases: ['truth', 'factuality', 'factualityScore', 'accuracy', 'accuracyScore'],
+        description: 'how likely the factual claims in it are true'
+    },
+    confidence: {
+        type: 'score',
+        required: true,
+        aliases: ['confidenceScore', 'certainty'],
+        description: 'how confident you are in this assessment'
+    },
+    verdict: {
+        type: 'enum',
+        values: VERDICTS,
+        default: null,
+        aliases: ['label', 'rating', 'classification', 'assessment'],
+        description: 'overall verdict'
+    },
+    reasoning: {
+        type: 'string',
+        default: null,
+        aliases: ['explanation', 'analysis', 'rationale', 'summary', 'justification'],
+        description: 'two or three sentences explaining the scores'
+    },
+    biases: {
+        type: 'list',
+        default: [],
+        aliases: ['bias', 'detectedBiases', 'potentialBiases', 'biasesDetected'],
+        description: 'biases detected in the content, e.g. "political: one-sided framing"'
+    },
+    redFlags: {
+        type: 'list',
+        default: [],
+        aliases: ['warnings', 'concerns', 'issues'],
+        description: 'specific statements or techniques that undermine credibility'
+    }
+};
+
+const SYSTEM_PROMPT = `You are a fact-checking assistant. Analyze the following content and assess its credibility, factuality, and potential biases.
+Reply with only a JSON object with these fields:
+${describeSchema(OUTPUT_SCHEMA)}`;
+
+// Malformed or off-schema replies are sent back to the model with the problems this many times
+const MAX_REPAIR_ATTEMPTS = 1;
+
+function repairPrompt(error) {
+    return `Your reply could not be used (${error.errors.length > 0 ? error.errors.join('; ') : error.message}). `
+        + 'Reply again with only the corrected JSON object, using exactly the field names given.';
+}
+
+// LLM credibility assessment through the Mistral chat API
+function createMistralProvider(options = {}) {
+    const model = options.model || 'mistral-small';
+    const apiKey = options.apiKey || process.env.MISTRAL_API_KEY;
+    const headers = {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+    };
+
+    const complete = async (messages, signal) => {
+        try {
+            const response = await axios.post(
+                MISTRAL_API_URL,
+                {
+                    model: model,
+                    messages: messages,
+                    temperature: 0.1,
+                    response_format: { type: "json_object" }
+                },
+                {
+                    headers,
+                    signal
+                }
+            );
+
+            return response.data.choices[0].message.content;
+        } catch (error) {
+            // The error's request config carries the Authorization header, so only log what went wrong
+            const status = error.response ? ` (status ${error.response.status})` : '';
+            console.error(`Mistral API Error: ${error.message}${status}`);
+            throw error;
+        }
+    };
+
+    const provider = {
+        name: 'mistral',
+        weight: 0.4,
+        retries: 1,
+        isAvailable: () => Boolean(apiKey),
+        // The model's JSON assessment, once it parses and matches the output schema
+        async fetch(content, signal, progress, { language } = {}) {
+            // Tell the model the language so it doesn't mark down content for not being in English
+            const { code, name } = getLanguagePack(language);
+            const systemPrompt = code === 'en'
+                ? SYSTEM_PROMPT
+                : `${SYSTEM_PROMPT}\nThe content is written in ${name}; write the reasoning in English.`;
+
+            const messages = [
+                { role: "system", content: systemPrompt },
+                { role: "user", content: content }
+            ];
+
+            for (let attempt = 0; ; attempt++) {
+                const reply = await complete(messages, signal);
+                try {
+                    const output = parseJsonReply(reply);
+                    validateStructuredOutput(output, OUTPUT_SCHEMA);
+                    return output;
+                } catch (error) {
+                    if (!(error instanceof StructuredOutputError) || attempt >= MAX_REPAIR_ATTEMPTS) throw error;
+
+                    console.warn(`Mistral reply rejected, asking for a corrected one: ${error.message}`);
+                    messages.push(
+                        { role: "assistant", content: typeof reply === 'string' ? reply : JSON.stringify(reply) },
+                        { role: "user", content: repairPrompt(error) }
+                    );
+                }
+            }
+        },
+        score(output) {
+            const { value, warnings } = validateStructuredOutput(parseJsonReply(output), OUTPUT_SCHEMA);
+
+            return {
+                scores: {
+                    credibilityScore: value.credibilityScore,
+                    truthScore: value.truthScore,
+                    confidence: value.confidence
+                },
+                // Exactly the schema's fields, whatever the model called them
+                details: {
+                    model,
+                    ...value,
+                    warnings
+                }
+            };
+        }
+    };
+
+    provider.analyze = async (content, signal, progress, context) => provider.score(await provider.fetch(content, signal, progress, context));
+
+    return provider;
+}
+
+module.exports = createMistralProvider;
+module.exports.VERDICTS = VERDICTS;
+module.exports.OUTPUT_SCHEMA = OUTPUT_SCHEMA;
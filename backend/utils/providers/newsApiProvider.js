@@ -0,0 +1,168 @@
+const { getLanguagePack } = require('../languages');
+const { buildSearchQuery, rankBySimilarity } = require('../textRanking');
+const { getNewsSources, searchNewsSources, collectArticles } = require('../newsSources');
+
+const MATCHED_ARTICLES = 5;
+const FACT_CHECKS = 5;
+
+// TF-IDF cosine similarity above which an article covers the same story...
+const MATCH_THRESHOLD = 0.3;
+// ...above which a fact-check is about the same claim...
+const FACT_CHECK_THRESHOLD = 0.2;
+// ...and above which an article is at least about the same topic
+const RELATED_THRESHOLD = 0.1;
+
+const VERDICTS = {
+    corroborated: 'REAL',
+    contradicted: 'POTENTIALLY FAKE',
+    none: 'NO COVERAGE FOUND'
+};
+
+// A published fact-check of the claim settles it; otherwise related coverage that debunks the story
+// contradicts it, and a close match corroborates it
+function judgeCoverage(related) {
+    const factCheck = related.find(article =>
+        article.factCheck && article.factCheck.verdict !== 'unrated' && article.similarity >= FACT_CHECK_THRESHOLD
+    );
+    if (factCheck) {
+        return {
+            verdict: factCheck.factCheck.verdict === 'true' ? VERDICTS.corroborated : VERDICTS.contradicted,
+            basis: factCheck
+        };
+    }
+
+    const debunking = related.find(article => article.disputes);
+    const supporting = related.find(article => !article.disputes && article.similarity >= MATCH_THRESHOLD);
+
+    if (debunking && (!supporting || debunking.similarity >= supporting.similarity)) {
+        return { verdict: VERDICTS.contradicted, basis: debunking };
+    }
+    if (supporting) {
+        return { verdict: VERDICTS.corroborated, basis: supporting };
+    }
+    return { verdict: VERDICTS.none, basis: null };
+}
+
+// Search every configured news source; the raw responses are kept so they can be re-scored later
+async function searchCoverage(content, signal, language, newsSources) {
+    const search = { ...buildSearchQuery(content, language), language: getLanguagePack(language).code };
+    if (!search.query) {
+        return { ...search, responses: {} };
+    }
+
+    const responses = await searchNewsSources(search, newsSources, signal);
+    if (newsSources.length > 0 && Object.values(responses).every(response => response.status !== 'ok')) {
+        throw new Error('All news sources failed');
+    }
+
+    return { ...search, responses };
+}
+
+// Rank the merged articles against the content and decide what the coverage says
+function assessCoverage(raw) {
+    const { debunkPattern } = getLanguagePack(raw.language);
+    const articles = collectArticles(raw.responses);
+    const similarities = rankBySimilarity(
+        raw.scoringTerms,
+        articles.map(article => `${article.title} ${article.description || ''}`),
+        raw.language
+    );
+
+    const related = articles
+        .map((article, i) => ({
+            ...article,
+            similarity: Math.round(similarities[i] * 100) / 100,
+            // Fact-checks carry their own rating, so only news coverage is read for debunking language
+            disputes: !article.factCheck && debunkPattern.test(`${article.title} ${article.description || ''}`)
+        }))
+        .filter(article => article.similarity >= RELATED_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity);
+
+    const { verdict, basis } = judgeCoverage(related);
+    const factChecks = related
+        .filter(article => article.factCheck)
+        .slice(0, FACT_CHECKS)
+        .map(article => ({
+            ...article.factCheck,
+            publisher: article.source,
+            url: article.url,
+            reviewedAt: article.publishedAt,
+            similarity: article.similarity
+        }));
+
+    return {
+        isVerified: verdict === VERDICTS.corroborated,
+        verdict,
+        confidence: basis ? Math.round(basis.similarity * 100) : 0,
+        query: raw.query,
+        keywords: raw.keywords,
+        entities: raw.entities,
+        sources: Object.fromEntries(Object.entries(raw.responses).map(([name, response]) => [name, response.status])),
+        factChecks,
+        // The fact-check the verdict rests on, if one does
+        decidingFactCheck: basis && basis.factCheck ? factChecks.find(factCheck => factCheck.url === basis.url) : null,
+        matchedArticles: related
+            .slice(0, MATCHED_ARTICLES)
+            .map(({ title, source, sourceType, url, publishedAt, similarity, disputes, factCheck }) => ({
+                title, source, sourceType, url, publishedAt, similarity, disputes,
+                ...(factCheck ? { rating: factCheck.rating, ratingVerdict: factCheck.verdict } : {})
+            }))
+    };
+}
+
+// Corroborate content against news coverage and published fact-checks from the configured news sources
+function createNewsApiProvider(options = {}) {
+    const newsSources = () => options.sources || getNewsSources();
+
+    const provider = {
+        name: 'newsapi',
+        // Reported as newsReliability rather than blended into the scores by default
+        weight: 0,
+        retries: 1,
+        // Each claim is another search on every news source, on top of the one for the whole content
+        maxClaims: 2,
+        isAvailable: () => newsSources().length > 0,
+        fetch: (content, signal, progress, { language } = {}) => searchCoverage(content, signal, language, newsSources()),
+        score(raw) {
+            const result = assessCoverage(raw);
+
+            // Corroboration counts for the story, disputing coverage against it, and silence is neutral
+            const credibilityScore = {
+                [VERDICTS.corroborated]: result.confidence,
+                [VERDICTS.contradicted]: 100 - result.confidence,
+                [VERDICTS.none]: 50
+            }[result.verdict];
+
+            return {
+                scores: {
+                    credibilityScore,
+                    truthScore: credibilityScore,
+                    confidence: result.confidence
+                },
+                details: result
+            };
+        },
+        // Coverage of a single claim, from the sources that allow per-claim searches
+        async analyzeClaim(claim, signal, { language } = {}) {
+            const claimSources = newsSources().filter(source => source.checksClaims !== false);
+            const result = assessCoverage(await searchCoverage(claim, signal, language, claimSources));
+
+            return {
+                coverage: {
+                    isVerified: result.isVerified,
+                    verdict: result.verdict,
+                    confidence: result.confidence
+                },
+                factChecks: result.factChecks,
+                supportingArticles: result.matchedArticles.filter(article => !article.disputes && !article.rating)
+            };
+        }
+    };
+
+    provider.analyze = async (content, signal, progress, context) => provider.score(await provider.fetch(content, signal, progress, context));
+
+    return provider;
+}
+
+module.exports = createNewsApiProvider;
+module.exports.VERDICTS = VERDICTS;
@@ -0,0 +1,94 @@
+const { once } = require('events');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Reports are read in batches from a cursor rather than loaded at once
+const EXPORT_BATCH_SIZE = 200;
+
+// Stored fields an export needs; the rest (raw analyzer output, MinHash, feedback entries) is left out
+const EXPORT_FIELDS = [
+    'content', 'mode', 'language', 'article', 'reliability', 'credibilityMetrics', 'combinedMetrics',
+    'contentAnalysis', 'newsVerification', 'sourceAnalysis', 'claims', 'entityAnalysis', 'degraded', 'feedbackStats',
+    'clusterId', 'timestamp'
+].join(' ');
+
+const CSV_COLUMNS = [
+    ['reportId', report => report._id],
+    ['timestamp', report => report.timestamp && new Date(report.timestamp).toISOString()],
+    ['mode', report => report.mode],
+    ['language', report => report.language && report.language.code],
+    ['reliability', report => report.reliability],
+    ['credibilityScore', report => report.combinedMetrics && report.combinedMetrics.credibilityScore],
+    ['truthScore', report => report.combinedMetrics && report.combinedMetrics.truthScore],
+    ['confidence', report => report.combinedMetrics && report.combinedMetrics.confidence],
+    ['newsVerdict', report => report.newsVerification && report.newsVerification.verdict],
+    ['contentType', report => report.contentAnalysis && report.contentAnalysis.contentType],
+    ['sourceCount', report => report.sourceAnalysis && report.sourceAnalysis.sourceCount],
+    ['primarySource', report => report.sourceAnalysis && report.sourceAnalysis.primarySource && report.sourceAnalysis.primarySource.name],
+    ['claimCount', report => (report.claims || []).length],
+    ['entityContradictions', report => report.entityAnalysis && report.entityAnalysis.contradictions],
+    ['articleUrl', report => report.article && report.article.url],
+    ['feedbackTotal', report => report.feedbackStats && report.feedbackStats.total],
+    ['feedbackAgree', report => report.feedbackStats && report.feedbackStats.agree],
+    ['degraded', report => report.degraded],
+    ['clusterId', report => report.clusterId],
+    ['content', report => report.content]
+];
+
+// RFC 4180 quoting. Cells that a spreadsheet would run as a formula get a leading quote.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+    return `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`;
+}
+
+function csvRow(report) {
+    return `${CSV_COLUMNS.map(([, value]) => csvCell(value(report))).join(',')}\r\n`;
+}
+
+function jsonlRow(report) {
+    return `${JSON.stringify(report)}\n`;
+}
+
+// Write every document from a Mongo cursor to the response as it arrives, waiting whenever the
+// client falls behind, and stop reading if the client goes away
+async function streamReports(cursor, res, format) {
+    let aborted = false;
+    res.on('close', () => {
+        aborted = true;
+    });
+
+    const write = async (chunk) => {
+        if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+
+    if (format === 'csv') await write(csvHeader());
+
+    try {
+        for await (const report of cursor) {
+            if (aborted) break;
+            await write(format === 'csv' ? csvRow(report) : jsonlRow(report));
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    if (!aborted) res.end();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_BATCH_SIZE,
+    EXPORT_FIELDS,
+    csvCell,
+    csvRow,
+    streamReports
+};
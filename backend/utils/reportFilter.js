@@ -0,0 +1,63 @@
+const { RELIABILITY_LEVELS } = require('./scoring');
+const { SUPPORTED_LANGUAGES } = require('./languages');
+
+// A repeated or bracketed query parameter (`?reliability[$ne]=x`) arrives as an array or object,
+// which would become a Mongo operator if passed through, so only plain strings are accepted
+function isString(value) {
+    return typeof value === 'string';
+}
+
+// Turn a report history or stats query string into a Mongo filter, or return an error message
+function buildReportFilter(query) {
+    const filter = {};
+
+    if (query.reliability) {
+        if (!isString(query.reliability) || !RELIABILITY_LEVELS.includes(query.reliability)) {
+            return { error: `reliability must be one of: ${RELIABILITY_LEVELS.join(', ')}` };
+        }
+        filter.reliability = query.reliability;
+    }
+
+    if (query.language) {
+        if (!isString(query.language) || !SUPPORTED_LANGUAGES.includes(query.language)) {
+            return { error: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` };
+        }
+        filter['language.code'] = query.language;
+    }
+
+    if (query.minScore !== undefined || query.maxScore !== undefined) {
+        const range = {};
+        if (query.minScore !== undefined) {
+            const min = isString(query.minScore) ? Number(query.minScore) : NaN;
+            if (Number.isNaN(min)) return { error: 'minScore must be a number' };
+            range.$gte = min;
+        }
+        if (query.maxScore !== undefined) {
+            const max = isString(query.maxScore) ? Number(query.maxScore) : NaN;
+            if (Number.isNaN(max)) return { error: 'maxScore must be a number' };
+            range.$lte = max;
+        }
+        filter['combinedMetrics.credibilityScore'] = range;
+    }
+
+    if (query.from || query.to) {
+        const range = {};
+        if (query.from) {
+            const from = isString(query.from) ? new Date(query.from) : new Date(NaN);
+            if (Number.isNaN(from.getTime())) return { error: 'from must be a valid date' };
+            range.$gte = from;
+        }
+        if (query.to) {
+            const to = isString(query.to) ? new Date(query.to) : new Date(NaN);
+            if (Number.isNaN(to.getTime())) return { error: 'to must be a valid date' };
+            range.$lte = to;
+        }
+        filter.timestamp = range;
+    }
+
+    return { filter };
+}
+
+module.exports = {
+    buildReportFilter
+};
@@ -0,0 +1,30 @@
+// Retry an abortable API call with a per-attempt timeout and exponential backoff
+const retryWithTimeout = async (apiCall, maxRetries = 3, timeout = 30000) => {
+    let lastError;
+    
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            const controller = new AbortController();
+            const id = setTimeout(() => controller.abort(), timeout);
+
+            // Cleared on failures too, or a pending timer keeps short-lived scripts running
+            try {
+                return await apiCall(controller.signal);
+            } finally {
+                clearTimeout(id);
+            }
+        } catch (error) {
+            lastError = error;
+            console.warn(`Attempt ${i + 1} failed:`, error.message);
+            
+            if (i < maxRetries - 1) {
+                const delay = Math.min(1000 * Math.pow(2, i), 5000);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+    
+    throw lastError;
+};
+
+module.exports = retryWithTimeout;
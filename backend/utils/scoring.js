@@ -0,0 +1,79 @@
+const path = require('path');
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+// Labels produced by getReliabilityLevel, most to least reliable
+const RELIABILITY_LEVELS = ['highly reliable', 'reliable', 'moderately reliable', 'somewhat unreliable', 'unreliable'];
+
+// Scoring constants come from config/scoring.json, or the file named by SCORING_CONFIG
+// (e.g. one written by `npm run evaluate -- --fit`).
+function loadScoringConfig(file = process.env.SCORING_CONFIG) {
+    const defaults = require('../config/scoring.json');
+    if (!file) return defaults;
+
+    const overrides = require(path.resolve(BACKEND_ROOT, file));
+    return { ...defaults, ...overrides };
+}
+
+let scoringConfig;
+
+function getScoringConfig() {
+    if (!scoringConfig) {
+        scoringConfig = loadScoringConfig();
+    }
+    return scoringConfig;
+}
+
+function clampScore(score) {
+    return Math.max(0, Math.min(100, score));
+}
+
+// Weighted sum of zero-shot label probabilities (0..1)
+function weightedLabelScore(labelScores, labelWeights) {
+    return Math.round(Object.entries(labelWeights).reduce(
+        (sum, [label, weight]) => sum + (labelScores[label] || 0) * weight,
+        0
+    ));
+}
+
+// Credibility and truth scores from the factual/misleading/false/... label probabilities
+function scoreFactLabels(labelScores, config = getScoringConfig()) {
+    const rawCredibilityScore = weightedLabelScore(labelScores, config.credibility.labelWeights);
+    const rawTruthScore = weightedLabelScore(labelScores, config.truth.labelWeights);
+
+    return {
+        rawCredibilityScore,
+        credibilityScore: clampScore(rawCredibilityScore + config.credibility.offset),
+        truthScore: clampScore(rawTruthScore + config.truth.offset)
+    };
+}
+
+// Points each label adds to the raw credibility score, largest effect first
+function explainFactLabels(labelScores, config = getScoringConfig()) {
+    return Object.entries(config.credibility.labelWeights)
+        .map(([label, weight]) => ({
+            label,
+            probability: Math.round((labelScores[label] || 0) * 100) / 100,
+            weight,
+            points: Math.round((labelScores[label] || 0) * weight * 10) / 10
+        }))
+        .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+}
+
+function getReliabilityLevel(score, config = getScoringConfig()) {
+    const thresholds = config.reliabilityThresholds;
+    for (const level of RELIABILITY_LEVELS.slice(0, -1)) {
+        if (score >= thresholds[level]) return level;
+    }
+    return 'unreliable';
+}
+
+module.exports = {
+    RELIABILITY_LEVELS,
+    loadScoringConfig,
+    getScoringConfig,
+    clampScore,
+    scoreFactLabels,
+    explainFactLabels,
+    getReliabilityLevel
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const SourceReputation = require('../models/sourceReputation');
+const { normalizeSourceKey } = require('../models/sourceReputation');
+
+// How much an extracted source's own confidence label counts towards its reputation
+const SOURCE_CONFIDENCE_WEIGHT = { 'High': 1, 'Medium': 0.6, 'Low': 0.3 };
+
+// Share of the reputation score (-50..100) added to the credibility score
+const SOURCE_REPUTATION_WEIGHT = 0.2;
+
+function calculateSourceReliability(sourceScores) {
+    return sourceScores.reduce((acc, curr) => {
+        const reliabilityWeight = {
+            'reliable': 100,
+            'questionable': -50,
+            'unknown': 0
+        }[curr.reliability] || 0;
+
+        return acc + (reliabilityWeight * curr.confidence);
+    }, 0) / sourceScores.length;
+}
+
+// Attach stored reputations to the sources found in the content
+async function matchSourceReputations(sources) {
+    // Don't wait on mongoose's command buffering when the database is down
+    if (sources.length === 0 || mongoose.connection.readyState !== 1) {
+        return sources;
+    }
+
+    try {
+        const keys = [...new Set(sources.map(source => normalizeSourceKey(source.name)).filter(Boolean))];
+        const entries = await SourceReputation.find({ keys: { $in: keys } }).lean();
+
+        return sources.map(source => {
+            const key = normalizeSourceKey(source.name);
+            const entry = entries.find(candidate => candidate.keys.includes(key));
+            if (!entry) return source;
+
+            return {
+                ...source,
+                reputation: {
+                    id: entry._id,
+                    name: entry.name,
+                    rating: entry.rating,
+                    bias: entry.bias,
+                    notes: entry.notes
+                }
+            };
+        });
+    } catch (error) {
+        console.error('Source reputation lookup failed:', error.message);
+        return sources;
+    }
+}
+
+// Reputation score and credibility adjustment from the sources that matched a stored entry
+function scoreSourceReputation(sources) {
+    const matched = sources.filter(source => source.reputation);
+    if (matched.length === 0) {
+        return { score: null, adjustment: 0, matchedSources: 0 };
+    }
+
+    const score = calculateSourceReliability(matched.map(source => ({
+        reliability: source.reputation.rating,
+        confidence: SOURCE_CONFIDENCE_WEIGHT[source.confidence] || 0
+    })));
+
+    return {
+        score: Math.round(score),
+        adjustment: Math.round(score * SOURCE_REPUTATION_WEIGHT),
+        matchedSources: matched.length
+    };
+}
+
+module.exports = {
+    calculateSourceReliability,
+    matchSourceReputations,
+    scoreSourceReputation
+};
@@ -0,0 +1,204 @@
+// Parsing, repair and schema validation of JSON replies from language models
+
+// A reply that isn't usable; `errors` lists each problem, for logs and for asking the model to fix them
+class StructuredOutputError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+    }
+}
+
+// Field types a schema can use:
+//   score  - 0..100; 0..1 fractions, "85%" and "8/10" are rescaled
+//   string - non-empty text
+//   enum   - one of `values`, compared case-insensitively
+//   list   - array of strings; objects are flattened to "key: value" text and a lone string is wrapped
+// Each field may set `required`, `default`, `aliases` (other names models use for it) and `description` (for the prompt).
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Fixes for the usual ways a model mangles JSON, tried in turn
+const JSON_REPAIRS = [
+    // ```json ... ``` fences
+    (text) => text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, ''),
+    // Prose around the object
+    (text) => {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+    },
+    // Curly quotes
+    (text) => text.replace(/[“”]/g, '"'),
+    // Trailing commas
+    (text) => text.replace(/,\s*([}\]])/g, '$1')
+];
+
+// A model reply as a JSON object, repairing it if it doesn't parse as is
+function parseJsonReply(reply) {
+    if (isPlainObject(reply)) return reply;
+    if (typeof reply !== 'string' || !reply.trim()) {
+        throw new StructuredOutputError('Reply is empty');
+    }
+
+    let text = reply;
+    let lastError;
+    for (const repair of [null, ...JSON_REPAIRS]) {
+        if (repair) text = repair(text);
+        try {
+            const parsed = JSON.parse(text);
+            if (!isPlainObject(parsed)) {
+                throw new StructuredOutputError('Reply must be a JSON object');
+            }
+            return parsed;
+        } catch (error) {
+            if (error instanceof StructuredOutputError) throw error;
+            lastError = error;
+        }
+    }
+
+    throw new StructuredOutputError('Reply is not valid JSON', [lastError.message]);
+}
+
+// Lower-cased with separators dropped, so "credibility_score" and "Credibility Score" find credibilityScore
+function fieldKey(name) {
+    return name.toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// The value for a field under its name or an alias, also looking one level down (e.g. `scores.credibility`)
+function findField(output, name, aliases = []) {
+    const keys = [name, ...aliases].map(fieldKey);
+    const entries = [
+        ...Object.entries(output),
+        ...Object.values(output).filter(isPlainObject).flatMap(nested => Object.entries(nested))
+    ];
+
+    const found = entries.find(([key]) => keys.includes(fieldKey(key)));
+    return found ? { key: found[0], value: found[1] } : null;
+}
+
+// A score as a number and the scale it was given on, or null if it isn't one
+function readScore(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? { number: value, scale: null } : null;
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%|\/\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) return null;
+    if (match[2] === '%') return { number: Number(match[1]), scale: 100 };
+    return { number: Number(match[1]), scale: match[3] ? Number(match[3]) : null };
+}
+
+function readList(value) {
+    const items = Array.isArray(value) ? value : [value];
+    return items
+        .map(item => (isPlainObject(item)
+            ? Object.values(item).filter(part => typeof part === 'string' && part.trim()).join(': ')
+            : String(item)))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Check a parsed reply against a schema, returning the fields under their schema names with scores on 0..100.
+// `warnings` notes every alias and rescaling relied on. Throws a StructuredOutputError listing every problem.
+function validateStructuredOutput(output, schema) {
+    if (!isPlainObject(output)) {
+        throw new StructuredOutputError('Output must be a JSON object');
+    }
+
+    const errors = [];
+    const warnings = [];
+    const value = {};
+    const scores = [];
+
+    Object.entries(schema).forEach(([name, field]) => {
+        const found = findField(output, name, field.aliases);
+        if (!found || found.value === null || found.value === undefined || found.value === '') {
+            if (field.required) {
+                errors.push(`${name} is missing`);
+            } else if (field.default !== undefined) {
+                value[name] = field.default;
+            }
+            return;
+        }
+        if (found.key !== name) warnings.push(`${name} read from "${found.key}"`);
+
+        switch (field.type) {
+            case 'score': {
+                const score = readScore(found.value);
+                if (!score) {
+                    errors.push(`${name} must be a number from 0 to 100`);
+                } else {
+                    scores.push({ name, ...score });
+                }
+                break;
+            }
+            case 'string':
+                if (typeof found.value !== 'string' || !found.value.trim()) {
+                    errors.push(`${name} must be a non-empty string`);
+                } else {
+                    value[name] = found.value.trim();
+                }
+                break;
+            case 'enum': {
+                const option = field.values.find(candidate => candidate === String(found.value).trim().toLowerCase());
+                if (!option) {
+                    errors.push(`${name} must be one of: ${field.values.join(', ')}`);
+                } else {
+                    value[name] = option;
+                }
+                break;
+            }
+            case 'list':
+                value[name] = readList(found.value);
+                break;
+            default:
+                throw new Error(`Unknown schema type "${field.type}" for ${name}`);
+        }
+    });
+
+    // Scores all given as fractions were meant on 0..1
+    const fractions = scores.length > 0 && scores.every(score => score.scale === null && score.number >= 0 && score.number <= 1);
+    scores.forEach(({ name, number, scale }) => {
+        const factor = scale ? 100 / scale : (fractions ? 100 : 1);
+        const scaled = Math.round(number * factor);
+        if (scaled < 0 || scaled > 100) {
+            errors.push(`${name} must be between 0 and 100, got ${number}${scale ? `/${scale}` : ''}`);
+            return;
+        }
+        if (factor !== 1) warnings.push(`${name} rescaled from ${number}${scale ? `/${scale}` : ''}`);
+        value[name] = scaled;
+    });
+
+    if (errors.length > 0) {
+        throw new StructuredOutputError('Output does not match the schema', errors);
+    }
+
+    // In schema order
+    return {
+        value: Object.fromEntries(Object.keys(schema).filter(name => name in value).map(name => [name, value[name]])),
+        warnings
+    };
+}
+
+// The schema as prompt text: one line per field with its type and meaning
+function describeSchema(schema) {
+    const types = {
+        score: () => 'integer from 0 to 100',
+        string: () => 'string',
+        enum: (field) => `one of ${field.values.map(option => `"${option}"`).join(', ')}`,
+        list: () => 'array of strings'
+    };
+
+    return Object.entries(schema)
+        .map(([name, field]) => `- "${name}" (${types[field.type](field)}): ${field.description}`)
+        .join('\n');
+}
+
+module.exports = {
+    StructuredOutputError,
+    parseJsonReply,
+    validateStructuredOutput,
+    describeSchema
+};
@@ -0,0 +1,133 @@
+const { getLanguagePack } = require('./languages');
+const { splitSentences } = require('./claims');
+
+// Keywords kept for the search query and for scoring matches
+const QUERY_KEYWORDS = 5;
+const QUERY_ENTITIES = 2;
+const SCORING_KEYWORDS = 20;
+
+// NewsAPI rejects longer `q` values
+const MAX_QUERY_LENGTH = 500;
+
+// Capitalized words are likely names, places or organisations, and say more about the story
+const ENTITY_BOOST = 1.5;
+
+// Runs of two or more capitalized words, e.g. "Reserve Bank of India" -> "Reserve Bank"
+const ENTITY_PHRASE_PATTERN = /\b[A-Z][\p{L}'’-]+(?:\s+[A-Z][\p{L}'’-]+)+/gu;
+
+// Lowercased words, minus stopwords, bare numbers and single letters
+function tokenize(text, language) {
+    const stopwords = new Set(getLanguagePack(language).stopwords);
+
+    return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !/^\p{N}+$/u.test(token) && !stopwords.has(token));
+}
+
+function termFrequencies(tokens) {
+    return tokens.reduce((counts, token) => counts.set(token, (counts.get(token) || 0) + 1), new Map());
+}
+
+// Multi-word names, most frequent first, with leading stopwords ("The", "In") trimmed off
+function extractEntities(content, language) {
+    const stopwords = new Set(getLanguagePack(language).stopwords);
+    const counts = new Map();
+
+    for (const [phrase] of content.matchAll(ENTITY_PHRASE_PATTERN)) {
+        const words = phrase.split(/\s+/);
+        while (words.length > 0 && stopwords.has(words[0].toLowerCase())) words.shift();
+        if (words.length < 2) continue;
+
+        const entity = words.join(' ');
+        counts.set(entity, (counts.get(entity) || 0) + 1);
+    }
+
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([entity]) => entity);
+}
+
+// Keywords ranked by TF-IDF, treating each sentence of the content as a document,
+// so terms the text keeps coming back to outrank ones mentioned in passing
+function extractKeywords(content, language) {
+    const sentences = splitSentences(content).map(sentence => sentence.text);
+    const documents = (sentences.length > 0 ? sentences : [content]).map(text => new Set(tokenize(text, language)));
+    const frequencies = termFrequencies(tokenize(content, language));
+
+    // Words capitalized somewhere other than the start of a sentence
+    const capitalized = new Set(
+        (content.match(/(?<![.!?।]\s+|^)\b[A-Z][\p{L}'’-]+/gu) || []).map(word => word.toLowerCase())
+    );
+
+    return [...frequencies.entries()]
+        .map(([term, frequency]) => {
+            const documentFrequency = documents.filter(document => document.has(term)).length;
+            const idf = Math.log(1 + documents.length / Math.max(1, documentFrequency));
+            const boost = capitalized.has(term) ? ENTITY_BOOST : 1;
+            return { term, weight: frequency * idf * boost };
+        })
+        .sort((a, b) => b.weight - a.weight);
+}
+
+function quoteTerm(term) {
+    return /\s/.test(term) ? `"${term}"` : term;
+}
+
+// Search terms from the content's main entities and highest-ranked keywords. `query` ORs them
+// together so the APIs find candidates and our own ranking decides which actually match;
+// `scoringTerms` are the keywords that ranking scores against.
+function buildSearchQuery(content, language) {
+    const ranked = extractKeywords(content, language).map(({ term }) => term);
+    const entities = extractEntities(content, language).slice(0, QUERY_ENTITIES);
+    const entityWords = new Set(entities.flatMap(entity => entity.toLowerCase().split(/\s+/)));
+    const keywords = ranked.filter(term => !entityWords.has(term)).slice(0, QUERY_KEYWORDS);
+
+    const terms = [...entities, ...keywords];
+    while (terms.length > 1 && terms.map(quoteTerm).join(' OR ').length > MAX_QUERY_LENGTH) {
+        terms.pop();
+    }
+
+    return {
+        query: terms.map(quoteTerm).join(' OR '),
+        terms,
+        entities,
+        keywords,
+        scoringTerms: ranked.slice(0, SCORING_KEYWORDS)
+    };
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    a.forEach((weight, term) => {
+        if (b.has(term)) dot += weight * b.get(term);
+    });
+
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+}
+
+// TF-IDF cosine similarity (0..1) of the content's top keywords (`terms`, from buildSearchQuery)
+// against each document, with IDF taken over the documents and the content together
+function rankBySimilarity(terms, documents, language) {
+    const contentTerms = new Map(terms.map(term => [term, 1]));
+    const documentTerms = documents.map(document => termFrequencies(tokenize(document, language)));
+
+    const corpus = [new Set(contentTerms.keys()), ...documentTerms.map(frequencies => new Set(frequencies.keys()))];
+    const idf = (term) => {
+        const documentFrequency = corpus.filter(document => document.has(term)).length;
+        return Math.log((corpus.length + 1) / (documentFrequency + 1)) + 1;
+    };
+
+    const weigh = (frequencies) => new Map([...frequencies].map(([term, frequency]) => [term, frequency * idf(term)]));
+    const contentVector = weigh(contentTerms);
+
+    return documentTerms.map(frequencies => cosineSimilarity(contentVector, weigh(frequencies)));
+}
+
+module.exports = {
+    tokenize,
+    extractEntities,
+    extractKeywords,
+    quoteTerm,
+    buildSearchQuery,
+    cosineSimilarity,
+    rankBySimilarity
+};
@@ -0,0 +1,50 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Report timestamps grouped into UTC periods, in Mongo (`expression`) and in JS (`start`, `label`)
+// so empty periods can be filled in. Weeks start on Monday and are labelled by that day.
+const INTERVALS = {
+    hour: {
+        ms: HOUR_MS,
+        expression: (field) => ({ $dateToString: { format: '%Y-%m-%dT%H:00', date: field } }),
+        start: (time) => Math.floor(time / HOUR_MS) * HOUR_MS,
+        label: (date) => `${date.toISOString().slice(0, 13)}:00`
+    },
+    day: {
+        ms: DAY_MS,
+        expression: (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } }),
+        start: (time) => Math.floor(time / DAY_MS) * DAY_MS,
+        label: (date) => date.toISOString().slice(0, 10)
+    },
+    week: {
+        ms: 7 * DAY_MS,
+        expression: (field) => ({
+            $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $subtract: [field, { $multiply: [{ $subtract: [{ $isoDayOfWeek: field }, 1] }, DAY_MS] }] }
+            }
+        }),
+        start: (time) => {
+            const day = Math.floor(time / DAY_MS) * DAY_MS;
+            return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+        },
+        label: (date) => date.toISOString().slice(0, 10)
+    }
+};
+
+// Every period label from `since` up to `until`
+function periodLabels(since, interval, until = new Date()) {
+    const { ms, start, label } = INTERVALS[interval];
+    const labels = [];
+    for (let time = start(since.getTime()); time <= until.getTime(); time += ms) {
+        labels.push(label(new Date(time)));
+    }
+    return labels;
+}
+
+module.exports = {
+    HOUR_MS,
+    DAY_MS,
+    INTERVALS,
+    periodLabels
+};
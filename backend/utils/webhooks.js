@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const retryWithTimeout = require('./retryWithTimeout');
+const { validateArticleUrl, publicRequestAgents } = require('./articleExtractor');
+const { excerpt } = require('./nearDuplicates');
+
+const CHECK_COMPLETED = 'check.completed';
+
+// Attempts per delivery and per-attempt timeout; retries back off like any other upstream call
+const DELIVERY_ATTEMPTS = 4;
+const DELIVERY_TIMEOUT = 10000;
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Receivers recompute this over `${timestamp}.${body}` with their secret, and should reject
+// stale timestamps so a captured delivery can't be replayed
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// What a webhook is told about a finished check
+function summarizeCheck(result, reportId) {
+    return {
+        reportId,
+        credibilityScore: result.combinedMetrics.credibilityScore,
+        reliability: result.credibilityMetrics.reliability.label,
+        verdict: result.newsVerification ? result.newsVerification.verdict : null,
+        language: result.language.code,
+        mode: result.mode,
+        degraded: result.degraded,
+        url: result.article ? result.article.url : null,
+        excerpt: excerpt(result.content),
+        summary: result.explanation ? result.explanation.summary : null,
+        similarReports: (result.similarReports || []).length,
+        // A repeat submission answered from the check cache
+        cached: Boolean(result.cached),
+        checkedAt: result.timestamp
+    };
+}
+
+function matchesFilter(filter = {}, check) {
+    const score = filter.credibilityScore || {};
+    const bounds = [
+        ['lt', (value) => check.credibilityScore < value],
+        ['lte', (value) => check.credibilityScore <= value],
+        ['gt', (value) => check.credibilityScore > value],
+        ['gte', (value) => check.credibilityScore >= value]
+    ];
+    if (bounds.some(([operator, holds]) => typeof score[operator] === 'number' && !holds(score[operator]))) {
+        return false;
+    }
+
+    const listed = (values, value) => !values || values.length === 0 || values.includes(value);
+    return listed(filter.verdicts, check.verdict) &&
+        listed(filter.reliabilities, check.reliability) &&
+        listed(filter.languages, check.language);
+}
+
+// POST one payload, logging every attempt; non-2xx answers count as failures and are retried
+async function deliver(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = [];
+
+    try {
+        // Checked on every delivery, since a hostname can be repointed after it was registered
+        await validateArticleUrl(webhook.url);
+
+        await retryWithTimeout(async (signal) => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            const started = Date.now();
+            try {
+                const response = await axios.post(webhook.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'TruthGuard-Webhooks/1.0',
+                        'X-TruthGuard-Event': delivery.event,
+                        'X-TruthGuard-Delivery': String(delivery._id),
+                        'X-TruthGuard-Timestamp': String(timestamp),
+                        'X-TruthGuard-Signature': signPayload(webhook.secret, timestamp, body)
+                    },
+                    // A redirect could point the delivery somewhere the URL check never saw
+                    maxRedirects: 0,
+                    // Connect only to the public address the hostname resolves to at send time
+                    ...publicRequestAgents(),
+                    signal
+                });
+                attempts.push({ at: new Date(started), statusCode: response.status, durationMs: Date.now() - started });
+            } catch (error) {
+                attempts.push({
+                    at: new Date(started),
+                    statusCode: error.response ? error.response.status : undefined,
+                    error: error.message,
+                    durationMs: Date.now() - started
+                });
+                throw error;
+            }
+        }, DELIVERY_ATTEMPTS, DELIVERY_TIMEOUT);
+
+        return { status: 'delivered', attempts };
+    } catch (error) {
+        if (attempts.length === 0) {
+            attempts.push({ at: new Date(), error: error.message, durationMs: 0 });
+        }
+        console.error(`Webhook ${webhook._id} delivery failed:`, error.message);
+        return { status: 'failed', attempts };
+    }
+}
+
+// Record a delivery, send it and log how it went
+async function sendToWebhook(webhook, event, payload, reportId) {
+    const delivery = await WebhookDelivery.create({ webhook: webhook._id, event, reportId, payload });
+    delivery.payload = { ...payload, deliveryId: delivery._id };
+
+    const { status, attempts } = await deliver(webhook, delivery);
+    const finishedAt = new Date();
+
+    await Promise.all([
+        WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { status, attempts, payload: delivery.payload, deliveredAt: status === 'delivered' ? finishedAt : undefined } }
+        ),
+        Webhook.updateOne(
+            { _id: webhook._id },
+            { $set: { lastDeliveryAt: finishedAt, lastDeliveryStatus: status } }
+        )
+    ]);
+
+    return { deliveryId: delivery._id, status, attempts };
+}
+
+// Tell every active webhook whose filter matches about a finished check. Runs in the background:
+// a slow or failing receiver never holds up or fails the check itself.
+async function notifyWebhooks(result, reportId) {
+    if (!reportId || mongoose.connection.readyState !== 1) return;
+
+    try {
+        const check = summarizeCheck(result, reportId);
+        const webhooks = await Webhook.find({ active: true }).lean();
+        const matching = webhooks.filter(webhook => matchesFilter(webhook.filter, check));
+
+        await Promise.all(matching.map(webhook => sendToWebhook(webhook, CHECK_COMPLETED, {
+            event: CHECK_COMPLETED,
+            webhookId: webhook._id,
+            sentAt: new Date(),
+            check
+        }, reportId).catch(error => {
+            console.error(`Webhook ${webhook._id} delivery could not be logged:`, error.message);
+        })));
+    } catch (error) {
+        console.error('Webhook notification failed:', error.message);
+    }
+}
+
+module.exports = {
+    CHECK_COMPLETED,
+    generateWebhookSecret,
+    signPayload,
+    summarizeCheck,
+    matchesFilter,
+    sendToWebhook,
+    notifyWebhooks
+};